@@ -4,29 +4,318 @@
 */
 
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
 import matter from 'gray-matter';
 import MarkdownIt from 'markdown-it';
 import container from 'markdown-it-container';
+import hljs from 'highlight.js';
+import katex from 'katex';
+import decodePng, { init as initPngDecode } from '@jsquash/png/decode.js';
+import decodeJpeg, { init as initJpegDecode } from '@jsquash/jpeg/decode.js';
+import decodeWebp, { init as initWebpDecode } from '@jsquash/webp/decode.js';
+import encodeWebp, { init as initWebpEncode } from '@jsquash/webp/encode.js';
+import encodeAvif, { init as initAvifEncode } from '@jsquash/avif/encode.js';
+import resizeImage, { initResize } from '@jsquash/resize';
 import 'dotenv/config';
 
 const ROOT = process.cwd();
-const DIST_DIR = path.join(ROOT, 'dist');
+// Output directory of the current build; see resolveOutDir
+let DIST_DIR = path.join(ROOT, 'dist');
 const CONTENT_DIR = path.join(ROOT, 'content');
 const POSTS_DIR = path.join(CONTENT_DIR, 'posts');
+const PAGES_DIR = path.join(CONTENT_DIR, 'pages');
+const DATA_DIR = path.join(CONTENT_DIR, 'data');
 const THEME_DIR = path.join(ROOT, 'theme');
+const KATEX_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'node_modules', 'katex', 'dist');
+const MERMAID_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'node_modules', 'mermaid', 'dist');
+const JSQUASH_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'node_modules', '@jsquash');
+// Written into every output directory so later builds and `hozokura clean` know they may delete it
+const OUTPUT_MARKER = '.hozokura-output';
+const IMAGE_CACHE_DIR = path.join(ROOT, '.cache', 'hozokura', 'images');
+const IMAGE_DECODERS = { '.png': decodePng, '.jpg': decodeJpeg, '.jpeg': decodeJpeg, '.webp': decodeWebp };
+const IMAGE_ENCODERS = { avif: encodeAvif, webp: encodeWebp };
+const IMAGE_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+const FONT_AWESOME_CSS = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.2/css/all.min.css';
+const THEMES_DIR = path.join(ROOT, 'themes');
+const DEFAULT_PALETTE = {
+  light: { ink: '#1f2b3a', paper: '#f6f4ef', accent: '#bd4628', accentSoft: '#f2c9b4', border: '#d8d2c4', muted: '#6a7682' },
+  dark: { ink: '#e7ebf2', paper: '#111722', accent: '#f28c52', accentSoft: '#3a2a1f', border: '#2c3647', muted: '#9aa4b5' }
+};
+const TEMPLATE_FILES = {
+  base: 'layouts/base.js',
+  home: 'layouts/home.js',
+  post: 'layouts/post.js',
+  list: 'layouts/list.js',
+  taxonomy: 'layouts/taxonomy.js',
+  page: 'layouts/page.js',
+  friends: 'layouts/friends.js',
+  sidebar: 'partials/sidebar.js',
+  profile: 'partials/profile.js'
+};
+const LOCALES_DIR = path.join(ROOT, 'locales');
+const DEFAULT_LOCALE = 'zh-CN';
+const CACHE_FILE = path.join(ROOT, '.cache', 'hozokura', 'build-cache.json');
+const SHORT_LINKS_FILE = path.join(CONTENT_DIR, '.hozokura', 'links.json');
+const CACHE_VERSION = 1;
+const BUILTIN_NAV = {
+  home: { labelKey: 'nav.home', path: '' },
+  articles: { labelKey: 'nav.articles', path: 'articles/' },
+  random: { labelKey: 'nav.random', path: 'random/' },
+  search: { labelKey: 'nav.search', path: 'search/' },
+  tags: { labelKey: 'nav.tags', path: 'tags/' },
+  categories: { labelKey: 'nav.categories', path: 'categories/' }
+};
+const DEFAULT_NAV = ['home', 'articles', 'random'];
+const PAGE_LAYOUTS = { page: renderPageContent, friends: renderFriendsContent };
+// Top-level paths owned by generated pages; standalone pages may not use them
+const RESERVED_PAGE_PATHS = ['articles', 'posts', 'tags', 'categories', 'search', 'random', 'assets'];
+const FRONT_MATTER_SCHEMA = {
+  title: { type: 'string', required: true },
+  date: { type: 'date', required: true },
+  summary: { type: 'string' },
+  slug: { type: 'string' },
+  cover: { type: 'string' },
+  categories: { type: 'list' },
+  category: { type: 'list' },
+  tags: { type: 'list' },
+  tag: { type: 'list' },
+  draft: { type: 'boolean' },
+  math: { type: 'boolean' },
+  mermaid: { type: 'boolean' },
+  lang: { type: 'string' },
+  shortLink: { type: 'string' },
+  comments: { type: 'boolean' }
+};
+// Severity of each kind of front-matter problem per `frontMatter.strictness`; null means ignored
+const FRONT_MATTER_LEVELS = {
+  loose: { invalid: 'warn', duplicate: 'warn', unknown: null, coerced: null },
+  normal: { invalid: 'error', duplicate: 'error', unknown: 'warn', coerced: null },
+  strict: { invalid: 'error', duplicate: 'error', unknown: 'error', coerced: 'error' }
+};
+// Adapters turn `services.analytics` into the tracker script; `inline` runs just before it loads
+const ANALYTICS_PROVIDERS = {
+  umami: (settings) => ({
+    src: settings.src || 'https://cloud.umami.is/script.js',
+    attrs: {
+      'data-website-id': requireAnalyticsSetting(settings, 'websiteId'),
+      'data-host-url': settings.hostUrl,
+      'data-domains': settings.domains,
+      'data-do-not-track': settings.respectDoNotTrack === false ? undefined : 'true'
+    }
+  }),
+  plausible: (settings) => ({
+    src: settings.src || 'https://plausible.io/js/script.js',
+    attrs: { 'data-domain': requireAnalyticsSetting(settings, 'domain'), 'data-api': settings.api }
+  }),
+  goatcounter: (settings) => ({
+    src: settings.src || 'https://gc.zgo.at/count.js',
+    attrs: { 'data-goatcounter': settings.endpoint || `https://${requireAnalyticsSetting(settings, 'code')}.goatcounter.com/count` }
+  }),
+  google: (settings) => {
+    const id = requireAnalyticsSetting(settings, 'measurementId');
+    return {
+      src: `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(id)}`,
+      attrs: {},
+      inline: `window.dataLayer = window.dataLayer || []; function gtag() { dataLayer.push(arguments); } gtag('js', new Date()); gtag('config', ${JSON.stringify(id)}, { anonymize_ip: true });`
+    };
+  },
+  generic: (settings) => ({ src: requireAnalyticsSetting(settings, 'src'), attrs: settings.attributes || {} })
+};
+// Comment adapters return client code run in the comments script: `load` mounts the thread into
+// `thread` once it scrolls into view, `setTheme` follows the light/dark toggle (`mode`).
+const COMMENT_PROVIDERS = {
+  giscus: (settings, locale) => {
+    const themes = { light: settings.lightTheme || 'light', dark: settings.darkTheme || 'dark' };
+    return {
+      load: commentEmbedScript('https://giscus.app/client.js', {
+        'data-repo': requireCommentSetting(settings, 'repo'),
+        'data-repo-id': requireCommentSetting(settings, 'repoId'),
+        'data-category': requireCommentSetting(settings, 'category'),
+        'data-category-id': requireCommentSetting(settings, 'categoryId'),
+        'data-mapping': settings.mapping || 'pathname',
+        'data-strict': settings.strict ? '1' : '0',
+        'data-reactions-enabled': settings.reactions === false ? '0' : '1',
+        'data-emit-metadata': '0',
+        'data-input-position': settings.inputPosition || 'bottom',
+        'data-lang': settings.lang || locale
+      }, 'data-theme', themes),
+      setTheme: `document.querySelector('iframe.giscus-frame')?.contentWindow.postMessage({ giscus: { setConfig: { theme: ${JSON.stringify(themes)}[mode] } } }, 'https://giscus.app');`
+    };
+  },
+  utterances: (settings) => {
+    const themes = { light: settings.lightTheme || 'github-light', dark: settings.darkTheme || 'github-dark' };
+    return {
+      load: commentEmbedScript('https://utteranc.es/client.js', {
+        repo: requireCommentSetting(settings, 'repo'),
+        'issue-term': settings.issueTerm || 'pathname',
+        ...(settings.label ? { label: settings.label } : {})
+      }, 'theme', themes),
+      setTheme: `document.querySelector('iframe.utterances-frame')?.contentWindow.postMessage({ type: 'set-theme', theme: ${JSON.stringify(themes)}[mode] }, 'https://utteranc.es');`
+    };
+  },
+  // Waline switches itself through the `dark` selector, so there is nothing to do on toggle.
+  // Client builds are pinned; `src` and `style` point at a self-hosted or newer copy.
+  waline: (settings, locale) => ({
+    load: `const style = document.createElement('link');
+          style.rel = 'stylesheet';
+          style.href = ${JSON.stringify(settings.style || 'https://unpkg.com/@waline/client@3.8.0/dist/waline.css')};
+          document.head.appendChild(style);
+          import(${JSON.stringify(settings.src || 'https://unpkg.com/@waline/client@3.8.0/dist/waline.js')}).then(({ init }) => init({
+            el: thread,
+            serverURL: ${JSON.stringify(requireCommentSetting(settings, 'serverURL'))},
+            path: location.pathname,
+            lang: ${JSON.stringify(settings.lang || locale)},
+            dark: 'html[data-theme="dark"]'
+          }));`,
+    setTheme: ''
+  }),
+  // Twikoo's widget inherits the page's text colours, which already follow the toggle
+  twikoo: (settings, locale) => ({
+    load: `const script = document.createElement('script');
+          script.src = ${JSON.stringify(settings.src || 'https://cdn.jsdelivr.net/npm/twikoo@1.7.9/dist/twikoo.all.min.js')};
+          script.onload = () => twikoo.init({
+            envId: ${JSON.stringify(requireCommentSetting(settings, 'envId'))},
+            el: '#' + thread.id,
+            path: location.pathname,
+            lang: ${JSON.stringify(settings.lang || locale)}
+          });
+          document.head.appendChild(script);`,
+    setTheme: ''
+  })
+};
+const LINK_ATTRIBUTES = { a: ['href'], link: ['href'], img: ['src', 'srcset'], source: ['src', 'srcset'], script: ['src'], iframe: ['src'] };
+
+export async function runBuild(options = {}) {
+  // A check builds into a throwaway directory so dist/ and the build caches stay untouched;
+  // images it has to encode are kept next to the output and removed with it
+  const scratchDir = options.check ? await fs.mkdtemp(path.join(os.tmpdir(), 'hozokura-check-')) : '';
+  DIST_DIR = scratchDir ? path.join(scratchDir, 'dist') : await resolveOutDir(options.out);
+  const imageCacheDir = scratchDir ? path.join(scratchDir, 'images') : IMAGE_CACHE_DIR;
+  try {
+    return await buildSite({ ...options, imageCacheDir });
+  } finally {
+    if (scratchDir) await fs.rm(scratchDir, { recursive: true, force: true });
+  }
+}
 
-export async function runBuild() {
+async function buildSite(options) {
   const config = await loadConfig();
-  await resetDist();
-  await copyThemeAssets(config);
-
-  const posts = await loadPosts(config);
+  if (options.baseUrl) config.baseUrl = options.baseUrl;
+  assertPublicShortLinkClient(config);
+  if (options.analytics === false && config.services?.analytics) {
+    config.services = { ...config.services, analytics: { ...config.services.analytics, enabled: false } };
+  }
+  resolveAnalytics(config);
+  resolveComments(config, DEFAULT_LOCALE);
+  const extensions = await loadExtensions(config);
+  const theme = await loadTheme(config);
+  const locales = await loadLocales();
+  // Site images are resolved first so their hashed URLs take part in the build hash
+  const images = createImagePipeline(config, options.imageCacheDir);
+  await processSiteImages(config, images);
+  const cache = await loadBuildCache({ config, options, extensions, theme, locales });
+  if (cache.fullRebuild) {
+    await resetDist();
+  } else {
+    await fs.mkdir(DIST_DIR, { recursive: true });
+  }
+  await writeFileIfChanged(path.join(DIST_DIR, OUTPUT_MARKER), 'Generated by hozokura; this directory is deleted on full rebuilds.\n');
+  await copyThemeAssets(config, theme);
+
+  const languages = resolveLanguages(config, locales.strings);
+  const md = createMarkdown(config, extensions);
+  const posts = await loadPosts(config, options, cache, md, languages);
+  await applyStoredShortLinks(posts);
+  const pages = await loadPages(config, options, md, languages);
+  await processPostImages([...posts, ...pages], images);
+  await processFriendAvatars(pages, images);
+  images.assertNoneMissing();
+  await writeImageAssets(images);
+  if ([...posts, ...pages].some((item) => item.math) || config.markdown?.math) {
+    await copyKatexAssets();
+  }
+  if ([...posts, ...pages].some((item) => item.mermaid) || config.markdown?.mermaid) {
+    await copyMermaidAssets();
+  }
   
-  // Sync with Sink
-  await syncSink(posts, config);
+  // Short links for posts that lack one
+  if (!options.check) await syncShortLinks(posts, config, options);
+
+  // Pages collected for sitemap.xml
+  const sitemap = [];
+  for (const i18n of languages) {
+    const languagePages = pages.filter((page) => page.lang === i18n.code);
+    await buildLanguage({
+      config: languageConfig(config, i18n, languagePages),
+      theme,
+      md,
+      cache,
+      sitemap,
+      i18n,
+      posts: posts.filter((post) => post.lang === i18n.code),
+      pages: languagePages
+    });
+  }
+
+  await writeSitemap({ config, sitemap });
+  await writeRobots({ config, languages });
+
+  await pruneStalePages(cache);
+  if (!options.check) await saveBuildCache(cache);
+  reportBuildCache(cache);
+  await checkLinks({ config, options, cache, posts, pages });
+
+  // Every rendered page, whether rebuilt or unchanged; the same set the cache report and link check count
+  const totalPages = Object.keys(cache.next.pages).length;
+  console.log(options.check ? `Check passed. Pages: ${totalPages}` : `Build complete. Pages: ${totalPages}`);
+  return { pages: totalPages, outDir: DIST_DIR };
+}
+
+// Resolves `--out` against the project root, refusing directories whose reset would delete sources.
+// The output directory is wiped on full rebuilds and by `hozokura clean`, so only a missing or empty
+// directory, or one carrying the OUTPUT_MARKER of an earlier build, is accepted.
+export async function resolveOutDir(out = 'dist') {
+  const outDir = path.resolve(ROOT, out);
+  const protectedDirs = [CONTENT_DIR, THEME_DIR, THEMES_DIR, LOCALES_DIR, path.join(ROOT, 'node_modules'), path.join(ROOT, '.git'), path.join(ROOT, '.cache')];
+  const contains = (parent, child) => {
+    const rel = path.relative(parent, child);
+    return !rel.startsWith('..') && !path.isAbsolute(rel);
+  };
+  if (contains(outDir, ROOT) || protectedDirs.some((dir) => contains(dir, outDir))) {
+    throw new Error(`Refusing to use ${outDir} as the output directory: it would overwrite project files`);
+  }
+
+  const stat = await fs.stat(outDir).catch((err) => {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  });
+  if (!stat) return outDir;
+  if (!stat.isDirectory()) throw new Error(`Refusing to use ${outDir} as the output directory: it is not a directory`);
+  const entries = await fs.readdir(outDir);
+  if (entries.length && !entries.includes(OUTPUT_MARKER)) {
+    throw new Error(`Refusing to use ${outDir} as the output directory: it is not empty and was not created by a build (no ${OUTPUT_MARKER}); remove it or choose another --out`);
+  }
+  return outDir;
+}
+
+// Applies the language's profile overrides and appends the pages that opt into the nav.
+function languageConfig(config, i18n, pages) {
+  const navPages = pages.filter((page) => page.nav).sort((a, b) => a.nav.order - b.nav.order);
+  return {
+    ...config,
+    profile: { ...config.profile, ...i18n.profile },
+    nav: [...(config.nav || DEFAULT_NAV), ...navPages.map((page) => page.nav.item)]
+  };
+}
 
+// Each language is a separate tree (the default language at the root, others under `<code>/`)
+// with its own home page, article list, taxonomies, search index, feeds and random page.
+async function buildLanguage({ config, theme, md, cache, sitemap, i18n, posts, pages }) {
+  const { t } = i18n;
+  const outRoot = path.join(DIST_DIR, i18n.prefix);
   const taxonomies = buildTaxonomies(posts);
 
   const sidebarData = {
@@ -35,8 +324,25 @@ export async function runBuild() {
     categories: Array.from(taxonomies.categories.values())
   };
 
-  const homeHtml = await renderHome({ config, posts, sidebarData });
-  await writePage({ html: homeHtml, outDir: DIST_DIR });
+  const latest = (list) => (list.length ? list[0].date : undefined);
+  const taxonomySummary = (list) => list.map((item) => [item.slug, item.label, item.posts.length]);
+  const tagSummary = taxonomySummary(sidebarData.tags);
+  const categorySummary = taxonomySummary(sidebarData.categories);
+  // Shared by every page, so a change here re-renders the whole tree
+  const sidebar = hashContent(JSON.stringify([config.nav, tagSummary, categorySummary]));
+  const emit = (page) => emitPage({ ...page, cache, sitemap, sidebar });
+
+  // Translated trees use content/home.<code>.md when present
+  const translatedHome = i18n.prefix ? path.join(CONTENT_DIR, `home.${i18n.code}.md`) : '';
+  const homeFile = translatedHome && (await readOptional(translatedHome)) ? translatedHome : path.join(CONTENT_DIR, 'home.md');
+  const homeSource = await readOptional(homeFile);
+  await emit({
+    outDir: outRoot,
+    lastmod: latest(posts),
+    // The theme's home template receives the post list
+    deps: [homeSource, posts.map(postFingerprint)],
+    render: () => renderHome({ config, theme, i18n, posts, sidebarData, md, homeFile })
+  });
 
   // Articles pagination
   const POSTS_PER_PAGE = config.theme?.postsPerPage || 6;
@@ -44,82 +350,131 @@ export async function runBuild() {
   for (let p = 1; p <= totalArticlePages; p++) {
     const start = (p - 1) * POSTS_PER_PAGE;
     const subset = posts.slice(start, start + POSTS_PER_PAGE);
-    const pageHtml = await renderArticles({ config, posts: subset, sidebarData, page: p, totalPages: totalArticlePages });
-    const outDir = p === 1 ? path.join(DIST_DIR, 'articles') : path.join(DIST_DIR, 'articles', String(p));
-    await writePage({ html: pageHtml, outDir });
+    await emit({
+      outDir: p === 1 ? path.join(outRoot, 'articles') : path.join(outRoot, 'articles', String(p)),
+      lastmod: latest(subset),
+      deps: [totalArticlePages, subset.map(postFingerprint)],
+      render: () => renderArticles({ config, theme, i18n, posts: subset, sidebarData, page: p, totalPages: totalArticlePages })
+    });
   }
 
-  const tagsIndexHtml = await renderTaxonomyIndex({
-    config,
-    title: '标签',
-    baseUrl: normalizeBase(config.baseUrl || '/'),
-    type: 'tags',
-    map: taxonomies.tags,
-    sidebarData
+  await emit({
+    outDir: path.join(outRoot, 'tags'),
+    lastmod: latest(posts),
+    deps: [tagSummary],
+    render: () =>
+      renderTaxonomyIndex({
+        config,
+        theme,
+        i18n,
+        title: t('taxonomy.tags'),
+        baseUrl: i18n.baseUrl,
+        type: 'tags',
+        map: taxonomies.tags,
+        sidebarData
+      })
   });
-  await writePage({ html: tagsIndexHtml, outDir: path.join(DIST_DIR, 'tags') });
 
-  const categoriesIndexHtml = await renderTaxonomyIndex({
-    config,
-    title: '分类',
-    baseUrl: normalizeBase(config.baseUrl || '/'),
-    type: 'categories',
-    map: taxonomies.categories,
-    sidebarData
+  await emit({
+    outDir: path.join(outRoot, 'categories'),
+    lastmod: latest(posts),
+    deps: [categorySummary],
+    render: () =>
+      renderTaxonomyIndex({
+        config,
+        theme,
+        i18n,
+        title: t('taxonomy.categories'),
+        baseUrl: i18n.baseUrl,
+        type: 'categories',
+        map: taxonomies.categories,
+        sidebarData
+      })
   });
-  await writePage({ html: categoriesIndexHtml, outDir: path.join(DIST_DIR, 'categories') });
 
   for (const post of posts) {
-    const postHtml = await renderPost({ config, post, posts, sidebarData });
-    const outDir = path.join(DIST_DIR, 'posts', post.slug);
-    await writePage({ html: postHtml, outDir });
+    const outDir = path.join(outRoot, 'posts', post.slug);
+    await emit({
+      outDir,
+      lastmod: post.date,
+      deps: [postFingerprint(post), post.alternates],
+      render: () => renderPost({ config, theme, i18n, post, posts, sidebarData })
+    });
+    if (post.bundleDir) await copyBundleAssets(post.bundleDir, outDir);
+  }
+
+  for (const page of pages) {
+    await emit({
+      outDir: path.join(outRoot, page.path),
+      lastmod: page.date,
+      deps: [page.sourceHash, page.assetHash || '', page.friends, page.alternates],
+      render: () => renderStandalonePage({ config, theme, i18n, page, sidebarData })
+    });
   }
 
   for (const entry of taxonomies.tags.values()) {
-    const pageHtml = await renderTaxonomyPage({
-      config,
-      title: `标签 · ${entry.label}`,
-      baseUrl: normalizeBase(config.baseUrl || '/'),
-      type: 'tags',
-      entry,
-      sidebarData
+    await emit({
+      outDir: path.join(outRoot, 'tags', entry.slug),
+      lastmod: latest(entry.posts),
+      deps: [entry.label, entry.posts.map(postFingerprint)],
+      render: () =>
+        renderTaxonomyPage({
+          config,
+          theme,
+          i18n,
+          title: t('taxonomy.pageTitle', { label: t('taxonomy.tags'), name: entry.label }),
+          baseUrl: i18n.baseUrl,
+          type: 'tags',
+          entry,
+          sidebarData
+        })
     });
-    await writePage({ html: pageHtml, outDir: path.join(DIST_DIR, 'tags', entry.slug) });
   }
 
   for (const entry of taxonomies.categories.values()) {
-    const pageHtml = await renderTaxonomyPage({
-      config,
-      title: `分类 · ${entry.label}`,
-      baseUrl: normalizeBase(config.baseUrl || '/'),
-      type: 'categories',
-      entry,
-      sidebarData
+    await emit({
+      outDir: path.join(outRoot, 'categories', entry.slug),
+      lastmod: latest(entry.posts),
+      deps: [entry.label, entry.posts.map(postFingerprint)],
+      render: () =>
+        renderTaxonomyPage({
+          config,
+          theme,
+          i18n,
+          title: t('taxonomy.pageTitle', { label: t('taxonomy.categories'), name: entry.label }),
+          baseUrl: i18n.baseUrl,
+          type: 'categories',
+          entry,
+          sidebarData
+        })
     });
-    await writePage({ html: pageHtml, outDir: path.join(DIST_DIR, 'categories', entry.slug) });
-  }
-  const totalPages =
-    posts.length + // post detail pages
-    2 + // home + articles
-    2 + // tags index + categories index
-    taxonomies.tags.size +
-    taxonomies.categories.size;
-  
+  }
+
+  if (searchEnabled(config)) {
+    await emit({
+      outDir: path.join(outRoot, 'search'),
+      deps: [],
+      inSitemap: false,
+      render: () => renderSearch({ config, theme, i18n, sidebarData })
+    });
+    await writeSearchIndex({ i18n, posts });
+  }
+
+  await writeFeeds({ config, i18n, posts, taxonomies });
+
   // Generate random post redirect page
   const randomPostScript = `
     <script>
-      const posts = ${JSON.stringify(posts.map(p => `${normalizeBase(config.baseUrl || '/')}posts/${p.slug}/`))};
+      const posts = ${JSON.stringify(posts.map(p => `${i18n.baseUrl}posts/${p.slug}/`))};
       if (posts.length > 0) {
         const random = posts[Math.floor(Math.random() * posts.length)];
         window.location.href = random;
       } else {
-        window.location.href = "${normalizeBase(config.baseUrl || '/')}";
+        window.location.href = "${i18n.baseUrl}";
       }
     </script>
   `;
-  await writePage({ html: `<!DOCTYPE html><html><head><meta charset="utf-8">${randomPostScript}</head><body></body></html>`, outDir: path.join(DIST_DIR, 'random') });
-
-  console.log(`Build complete. Pages: ${totalPages}`);
+  await writePage({ html: `<!DOCTYPE html><html><head><meta charset="utf-8">${randomPostScript}</head><body></body></html>`, outDir: path.join(outRoot, 'random') });
 }
 
 async function loadConfig() {
@@ -142,12 +497,6 @@ async function loadConfig() {
   try {
     const raw = await fs.readFile(configPath, 'utf8');
     const parsed = JSON.parse(raw);
-    
-    // Inject env vars
-    if (process.env.SINK_API_URL && parsed.services?.shortLink) {
-      parsed.services.shortLink.url = process.env.SINK_API_URL;
-    }
-
     return { ...fallback, ...parsed, profile: { ...fallback.profile, ...(parsed.profile || {}) } };
   } catch (err) {
     if (err.code !== 'ENOENT') throw err;
@@ -157,33 +506,208 @@ async function loadConfig() {
   }
 }
 
+async function loadBuildCache({ config, options, extensions, theme, locales }) {
+  const builderSource = await fs.readFile(fileURLToPath(import.meta.url), 'utf8');
+  const buildHash = hashContent(
+    JSON.stringify({
+      config,
+      drafts: Boolean(options.drafts),
+      future: Boolean(options.future),
+      outDir: DIST_DIR,
+      builder: hashContent(builderSource),
+      extensions: extensions.signature,
+      theme: theme.signature,
+      locales: locales.signature
+    })
+  );
+
+  let previous = null;
+  try {
+    previous = JSON.parse(await fs.readFile(CACHE_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`Ignoring unreadable build cache: ${err.message}`);
+  }
+
+  let reason = null;
+  if (options.check) reason = 'validation only';
+  else if (!previous || previous.version !== CACHE_VERSION) reason = 'no build cache';
+  else if (previous.buildHash !== buildHash) reason = 'config or builder changed';
+
+  return {
+    buildHash,
+    fullRebuild: Boolean(reason),
+    reason,
+    previous: reason ? { posts: {}, pages: {} } : previous,
+    next: { version: CACHE_VERSION, buildHash, posts: {}, pages: {} },
+    rebuilt: [],
+    skipped: 0
+  };
+}
+
+async function saveBuildCache(cache) {
+  await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+  await fs.writeFile(CACHE_FILE, JSON.stringify(cache.next), 'utf8');
+}
+
+function reportBuildCache(cache) {
+  if (cache.fullRebuild) {
+    console.log(`Full rebuild (${cache.reason}): ${cache.rebuilt.length} page(s)`);
+    return;
+  }
+  for (const { pagePath, reason } of cache.rebuilt) {
+    console.log(`  rebuilt /${pagePath} (${reason})`);
+  }
+  console.log(`Incremental build: ${cache.rebuilt.length} page(s) rebuilt, ${cache.skipped} unchanged`);
+}
+
+// Renders a page only when its dependencies differ from the previous build.
+async function emitPage({ cache, sitemap, sidebar, outDir, lastmod, deps, render, inSitemap = true }) {
+  const pagePath = toPagePath(outDir);
+  const key = { content: hashContent(JSON.stringify(deps)), sidebar };
+  const prev = cache.previous.pages[pagePath];
+  cache.next.pages[pagePath] = key;
+  if (inSitemap) sitemap.push({ pagePath, lastmod });
+
+  let reason = cache.reason;
+  if (!reason) {
+    if (!prev) reason = 'new page';
+    else if (prev.content !== key.content) reason = 'content changed';
+    else if (prev.sidebar !== key.sidebar) reason = 'sidebar changed';
+    else if (!(await readOptional(path.join(outDir, 'index.html')))) reason = 'output missing';
+  }
+  if (!reason) {
+    cache.skipped++;
+    return;
+  }
+
+  await writePage({ html: await render(), outDir });
+  cache.rebuilt.push({ pagePath, reason });
+}
+
+async function pruneStalePages(cache) {
+  const current = Object.keys(cache.next.pages);
+  for (const pagePath of Object.keys(cache.previous.pages)) {
+    // A stale directory is kept only while it still holds a current page: `posts/foo/` must not
+    // survive because of `posts/foo-bar/`, so prefixes are compared up to a path separator
+    const dir = pagePath === '' || pagePath.endsWith('/') ? pagePath : `${pagePath}/`;
+    if (current.some((p) => p === pagePath || p.startsWith(dir))) continue;
+    await fs.rm(path.join(DIST_DIR, pagePath), { recursive: true, force: true });
+    console.log(`  removed /${pagePath}`);
+  }
+}
+
+function postFingerprint(post) {
+  return [post.sourceHash, post.shortLink || '', post.scheduled, post.assetHash || ''];
+}
+
+function hashContent(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+async function readOptional(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return '';
+  }
+}
+
+async function writeFileIfChanged(filePath, data) {
+  const existing = await fs.readFile(filePath).catch(() => null);
+  if (existing && existing.equals(Buffer.from(data))) return false;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, data);
+  return true;
+}
+
 async function resetDist() {
   await fs.rm(DIST_DIR, { recursive: true, force: true });
   await fs.mkdir(DIST_DIR, { recursive: true });
 }
 
-async function copyThemeAssets(config) {
+async function copyThemeAssets(config, theme = {}) {
   const assetsDir = path.join(DIST_DIR, 'assets');
   await fs.mkdir(assetsDir, { recursive: true });
   const styleSrc = path.join(THEME_DIR, 'style.css');
   const styleDest = path.join(assetsDir, 'style.css');
-  await fs.copyFile(styleSrc, styleDest);
+  await writeFileIfChanged(styleDest, await fs.readFile(styleSrc));
 
-  const baseUrl = normalizeBase(config.baseUrl || '/');
   const paletteSrc = path.join(THEME_DIR, 'palette.json');
   try {
-    await fs.copyFile(paletteSrc, path.join(assetsDir, 'palette.json'));
+    await writeFileIfChanged(path.join(assetsDir, 'palette.json'), await fs.readFile(paletteSrc));
   } catch (err) {
     if (err.code !== 'ENOENT') {
       throw err;
     }
   }
+  await writeFileIfChanged(path.join(assetsDir, 'palette.css'), renderPaletteCss(theme.palettes || normalizePalettes({})));
+
+  // Files from the selected theme's assets/ override the defaults above
+  if (theme.assetsDir) {
+    await copyDirIfChanged(theme.assetsDir, assetsDir);
+  }
+}
+
+export function parseBuildArgs(argv = process.argv.slice(2)) {
+  return {
+    out: readArgValue(argv, '--out'),
+    baseUrl: readArgValue(argv, '--base-url'),
+    drafts: argv.includes('--drafts'),
+    future: argv.includes('--future'),
+    strict: argv.includes('--strict'),
+    dryRun: argv.includes('--dry-run'),
+    offline: argv.includes('--offline')
+  };
+}
+
+// Reads `--name value` or `--name=value`; undefined when the flag is absent.
+export function readArgValue(argv, name) {
+  const index = argv.indexOf(name);
+  if (index !== -1) {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) throw new Error(`Missing value for ${name}`);
+    return value;
+  }
+  return argv.find((arg) => arg.startsWith(`${name}=`))?.slice(name.length + 1);
+}
+
+async function copyKatexAssets() {
+  const outDir = path.join(DIST_DIR, 'assets', 'katex');
+  await writeFileIfChanged(path.join(outDir, 'katex.min.css'), await fs.readFile(path.join(KATEX_DIR, 'katex.min.css')));
+  for (const font of await fs.readdir(path.join(KATEX_DIR, 'fonts'))) {
+    await writeFileIfChanged(path.join(outDir, 'fonts', font), await fs.readFile(path.join(KATEX_DIR, 'fonts', font)));
+  }
+}
+
+// The self-contained browser bundle, so diagrams render without a CDN
+async function copyMermaidAssets() {
+  const file = 'mermaid.min.js';
+  await writeFileIfChanged(path.join(DIST_DIR, 'assets', 'mermaid', file), await fs.readFile(path.join(MERMAID_DIR, file)));
+}
+
+async function copyDirIfChanged(srcDir, destDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(srcDir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  for (const entry of entries) {
+    const src = path.join(srcDir, entry.name);
+    const dest = path.join(destDir, entry.name);
+    if (entry.isDirectory()) {
+      await copyDirIfChanged(src, dest);
+    } else {
+      await writeFileIfChanged(dest, await fs.readFile(src));
+    }
+  }
 }
 
-async function loadPosts(config) {
+async function loadPosts(config, options = {}, cache, md = createMarkdown(config), languages) {
   await fs.mkdir(POSTS_DIR, { recursive: true });
-  const files = await fs.readdir(POSTS_DIR);
-  const md = createMarkdown();
+  const sources = await listPostSources();
   const posts = [];
 
   const toList = (value) => {
@@ -195,200 +719,1105 @@ async function loadPosts(config) {
   const toTaxonomy = (value) =>
     toList(value).map((label) => ({ label, slug: slugifySegment(label) })).filter((item) => item.label);
 
-  for (const file of files) {
-    if (!file.endsWith('.md')) continue;
-    const fullPath = path.join(POSTS_DIR, file);
+  const entries = [];
+  for (const { file, fullPath, bundleDir } of sources) {
     const raw = await fs.readFile(fullPath, 'utf8');
-    const { data, content } = matter(raw);
-    const slug = data.slug || file.replace(/\.md$/, '');
-    const date = data.date ? new Date(data.date) : new Date();
-    const dateText = !Number.isNaN(date.getTime())
-      ? date.toISOString().slice(0, 10)
-      : (data.date ? `${data.date}`.slice(0, 10) : '');
-    const env = { toc: [] };
-    let html = md.render(content, env);
-    
-    // Process hide syntax:
-    // Block form:
-    // ::: hide[标签] :::
-    // 隐藏内容
-    // :::
-    // Tip is now configured in site.config.json (theme.hideTip)
-    // We still match the old inline syntax with {tip=...} to consume it, but prefer the label in block form.
-    const hideTip = config.theme?.hideTip || '点击查看';
-    const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-    // block form
-    html = html.replace(/:::\s*hide\[(.*?)\]\s*:::\s*([\s\S]*?)\s*:::/g, (m, label, inner) => {
-      return `<span class="hide-text" data-tip="${esc(label || hideTip)}">${inner}</span>`;
-    });
-    // fallback: inline form
-    html = html.replace(/:::\s*hide\[(.*?)\](?:\{.*?\})?\s*:::/g, (match, content) => `<span class="hide-text" data-tip="${esc(hideTip)}">${content}</span>`);
+    const { data, content, matter: frontMatter } = matter(raw);
+
+    // `post.en.md` or `lang: en` marks a translation; posts sharing a slug are linked across languages
+    const suffix = file.match(/\.([\w-]+)\.md$/)?.[1];
+    const suffixLanguage = languages.find((language) => language.prefix && language.code === suffix);
+    const language = contentLanguage(languages, suffixLanguage, data.lang, fullPath);
+    const slug = data.slug || (suffixLanguage ? file.slice(0, -`.${suffix}.md`.length) : file.replace(/\.md$/, ''));
+    entries.push({ fullPath, bundleDir, raw, data, content, frontMatter, language, slug });
+  }
+  // Every source is checked before any Markdown is rendered
+  const schema = validateFrontMatter(entries, config);
+
+  const now = new Date();
+  let skippedDrafts = 0;
+  let skippedFuture = 0;
+
+  for (const { fullPath, bundleDir, raw, data, content, language, slug } of entries) {
+    // Loose front matter lets a post through without a usable date; the file's modification time keeps
+    // it stable across builds, where the build time would reorder posts and change lastmod every run
+    let date = data.date ? new Date(data.date) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      date = (await fs.stat(fullPath)).mtime;
+      console.warn(`${path.relative(ROOT, fullPath)}: missing or invalid date; using the file's modification time (${date.toISOString().slice(0, 10)})`);
+    }
+    const draft = data.draft === true;
+    const scheduled = date > now;
+
+    // Drafts and future-dated posts stay out of every output unless explicitly requested
+    if (draft && !options.drafts) {
+      skippedDrafts++;
+      continue;
+    }
+    if (scheduled && !options.future) {
+      skippedFuture++;
+      continue;
+    }
+
+    const dateText = date.toISOString().slice(0, 10);
+
+    // Markdown output is reused from the build cache while the source is unchanged
+    const sourceHash = hashContent(raw);
+    const cacheKey = path.relative(ROOT, fullPath);
+    const cached = cache?.previous.posts[cacheKey];
+    const features = {
+      math: data.math ?? config.markdown?.math ?? false,
+      mermaid: data.mermaid ?? config.markdown?.mermaid ?? false
+    };
+    const body = cached && cached.hash === sourceHash ? cached : renderPostBody({ md, content, features, t: language.t });
+    const { toc } = body;
+    if (cache) cache.next.posts[cacheKey] = { ...body, hash: sourceHash };
+    const html = bundleDir
+      ? await resolveBundleLinks(body.html, bundleDir, `${language.baseUrl}posts/${slug}/`)
+      : body.html;
 
     const summary = data.summary || content.slice(0, 120).replace(/\n/g, ' ');
+    const cover = typeof data.cover === 'string' ? data.cover : '';
     const categories = toTaxonomy(data.categories || data.category);
     const tags = toTaxonomy(data.tags || data.tag);
 
     posts.push({
       slug,
+      lang: language.code,
+      prefix: language.prefix,
       title: data.title || slug,
       date,
       dateText,
       summary,
       html,
-      toc: env.toc,
+      toc,
       categories,
       tags,
+      cover,
+      math: Boolean(body.math),
+      mermaid: Boolean(body.mermaid),
+      draft,
+      scheduled,
+      sourceHash,
+      comments: data.comments !== false,
       shortLink: data.shortLink, // Load existing shortLink
       filePath: fullPath, // Store path for updating
-      rawContent: content, // Store raw content for updating
-      rawData: data // Store raw data for updating
+      bundleDir,
+      rawData: data, // Parsed front matter, including keys the builder does not use
+      fields: Object.fromEntries(schema.custom.map((key) => [key, data[key]]))
+    });
+  }
+
+  if (skippedDrafts || skippedFuture) {
+    console.log(`Skipped ${skippedDrafts} draft(s) and ${skippedFuture} scheduled post(s); use --drafts / --future to include them`);
+  }
+
+  for (const post of posts) {
+    post.alternates = posts
+      .filter((other) => other.slug === post.slug)
+      .map((other) => ({ code: other.lang, pagePath: `${other.prefix}posts/${other.slug}/` }));
+  }
+
+  return posts.sort((a, b) => b.date - a.date);
+}
+
+// A `lang` front-matter key overrides the file-name suffix; unknown languages fall back to the default.
+function contentLanguage(languages, suffixLanguage, lang, fullPath) {
+  if (!lang) return suffixLanguage || languages[0];
+  const language = languages.find((item) => item.code === lang || item.locale === lang);
+  if (language) return language;
+  console.warn(`Unknown language "${lang}" in ${path.relative(ROOT, fullPath)}; add it to "languages" in site.config.json`);
+  return languages[0];
+}
+
+// Standalone pages: content/pages/about.md → about/, content/pages/projects/index.md → projects/.
+// `about.en.md` (or `lang: en`) is the English version. `layout` picks a PAGE_LAYOUTS entry and `nav` adds the page to the menu.
+async function loadPages(config, options = {}, md, languages) {
+  const pages = [];
+  const seen = new Map();
+  for (const rel of await listMarkdownFiles(PAGES_DIR)) {
+    const fullPath = path.join(PAGES_DIR, rel);
+    const owner = path.relative(ROOT, fullPath);
+    const raw = await fs.readFile(fullPath, 'utf8');
+    const { data, content } = matter(raw);
+    if (data.draft === true && !options.drafts) continue;
+
+    const suffix = rel.match(/\.([\w-]+)\.md$/)?.[1];
+    const suffixLanguage = languages.find((language) => language.prefix && language.code === suffix);
+    const language = contentLanguage(languages, suffixLanguage, data.lang, fullPath);
+    const stem = (suffixLanguage ? rel.slice(0, -`.${suffix}.md`.length) : rel.replace(/\.md$/, '')).split(path.sep).join('/');
+    const dir = stem.replace(/(^|\/)index$/, '');
+    const top = dir.split('/')[0];
+    if (!dir || RESERVED_PAGE_PATHS.includes(top) || languages.some((item) => item.prefix && item.code === top)) {
+      throw new Error(`${owner}: "/${dir}" is used by generated pages; move the file to another path`);
+    }
+    const key = `${language.code}/${dir}`;
+    if (seen.has(key)) throw new Error(`${owner}: same path as ${seen.get(key)}`);
+    seen.set(key, owner);
+
+    const layout = data.layout || 'page';
+    if (!PAGE_LAYOUTS[layout]) {
+      throw new Error(`${owner}: unknown layout "${layout}"; use one of ${Object.keys(PAGE_LAYOUTS).join(', ')}`);
+    }
+    const features = {
+      math: data.math ?? config.markdown?.math ?? false,
+      mermaid: data.mermaid ?? config.markdown?.mermaid ?? false
+    };
+    const body = renderPostBody({ md, content, features, t: language.t });
+    const title = data.title || dir;
+    const nav = data.nav
+      ? {
+          order: Number(data.nav.order) || 0,
+          item: { label: data.nav.label || title, href: `/${dir}/`, icon: data.nav.icon || '' }
+        }
+      : null;
+
+    pages.push({
+      path: `${dir}/`,
+      lang: language.code,
+      prefix: language.prefix,
+      title,
+      summary: data.summary || '',
+      date: data.date ? new Date(data.date) : undefined,
+      layout,
+      html: body.html,
+      toc: body.toc,
+      math: body.math,
+      mermaid: body.mermaid,
+      cover: typeof data.cover === 'string' ? data.cover : '',
+      friends: layout === 'friends' ? await loadFriends(path.join(DATA_DIR, data.data || 'friends.json'), owner) : null,
+      nav,
+      sourceHash: hashContent(raw),
+      filePath: fullPath
+    });
+  }
+
+  for (const page of pages) {
+    page.alternates = pages
+      .filter((other) => other.path === page.path)
+      .map((other) => ({ code: other.lang, pagePath: `${other.prefix}${other.path}` }));
+  }
+  return pages;
+}
+
+async function listMarkdownFiles(dir, prefix = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const files = [];
+  for (const entry of entries) {
+    const rel = path.join(prefix, entry.name);
+    if (entry.isDirectory()) files.push(...(await listMarkdownFiles(path.join(dir, entry.name), rel)));
+    else if (entry.name.endsWith('.md')) files.push(rel);
+  }
+  return files.sort();
+}
+
+// content/data/friends.json: [{ "name", "url", "avatar", "description" }]
+async function loadFriends(filePath, owner) {
+  const rel = path.relative(ROOT, filePath);
+  const raw = await readOptional(filePath);
+  if (!raw) throw new Error(`${owner}: friends data file ${rel} not found`);
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${rel}: ${err.message}`);
+  }
+  if (!Array.isArray(list)) throw new Error(`${rel}: expected an array of friends`);
+  return list.map((friend, index) => {
+    if (!friend?.name || !friend.url) throw new Error(`${rel}: entry ${index + 1} needs "name" and "url"`);
+    return { name: friend.name, url: friend.url, avatar: friend.avatar || '', description: friend.description || '' };
+  });
+}
+
+// Checks each post's front matter against the built-in schema plus `frontMatter.fields` from
+// site.config.json. Problems are warnings or errors depending on `frontMatter.strictness`.
+function validateFrontMatter(entries, config) {
+  const settings = config.frontMatter || {};
+  const strictness = settings.strictness || 'normal';
+  const levels = FRONT_MATTER_LEVELS[strictness];
+  if (!levels) {
+    throw new Error(`Unknown frontMatter.strictness "${strictness}"; use ${Object.keys(FRONT_MATTER_LEVELS).join(', ')}`);
+  }
+  const fields = { ...FRONT_MATTER_SCHEMA, ...(settings.fields || {}) };
+  const errors = [];
+  const warnings = [];
+  const report = (kind, fullPath, message) => {
+    const line = `${path.relative(ROOT, fullPath)}: ${message}`;
+    if (levels[kind] === 'error') errors.push(line);
+    else if (levels[kind] === 'warn') warnings.push(line);
+  };
+
+  const seen = new Map();
+  for (const { fullPath, data, frontMatter, language, slug } of entries) {
+    for (const [key, rule] of Object.entries(fields)) {
+      const value = data[key];
+      if (value === undefined || value === null || value === '') {
+        if (rule.required) report('invalid', fullPath, `missing required field "${key}"`);
+        continue;
+      }
+      // YAML turns `2025-02-30` into a Date by rolling over, so dates are checked as written
+      const literal = value instanceof Date
+        ? frontMatter.match(new RegExp(`^${key}\\s*:\\s*['"]?([^'"#\\n]*)`, 'm'))?.[1].trim() || value
+        : value;
+      const problem = checkFieldType(literal, rule);
+      if (problem) report(problem.kind, fullPath, `"${key}" ${problem.message}`);
+      else if (rule.enum && ![].concat(value).every((item) => rule.enum.includes(item))) {
+        report('invalid', fullPath, `"${key}" must be one of: ${rule.enum.join(', ')}`);
+      }
+    }
+    for (const key of Object.keys(data)) {
+      if (!fields[key]) report('unknown', fullPath, `unknown field "${key}"; declare it in frontMatter.fields`);
+    }
+
+    // Posts sharing a slug within one language would overwrite each other in dist/
+    const slugKey = `${language.code}/${slug}`;
+    if (seen.has(slugKey)) {
+      report('duplicate', fullPath, `duplicate slug "${slug}" (also used by ${path.relative(ROOT, seen.get(slugKey))})`);
+    } else {
+      seen.set(slugKey, fullPath);
+    }
+  }
+
+  for (const warning of warnings) console.warn(`Front matter: ${warning}`);
+  if (errors.length) {
+    throw new Error(`Invalid front matter (strictness: ${strictness}):\n  ${errors.join('\n  ')}`);
+  }
+  return { custom: Object.keys(settings.fields || {}).filter((key) => !FRONT_MATTER_SCHEMA[key]) };
+}
+
+function checkFieldType(value, rule) {
+  const actual = value instanceof Date ? 'date' : Array.isArray(value) ? 'list' : typeof value;
+  switch (rule.type) {
+    case 'date':
+      return value instanceof Date || isCalendarDate(value)
+        ? null
+        : { kind: 'invalid', message: `is not a valid date: ${JSON.stringify(value)}` };
+    case 'list':
+      if (actual === 'list') {
+        return value.every((item) => ['string', 'number'].includes(typeof item))
+          ? null
+          : { kind: 'invalid', message: 'should be a list of strings' };
+      }
+      // Comma-separated strings are still accepted unless strictness is "strict"
+      return actual === 'string'
+        ? { kind: 'coerced', message: 'should be a list, got a comma-separated string' }
+        : { kind: 'invalid', message: `should be a list, got ${actual}` };
+    case 'string':
+    case 'number':
+    case 'boolean':
+      return actual === rule.type ? null : { kind: 'invalid', message: `should be a ${rule.type}, got ${actual}` };
+    default:
+      return null;
+  }
+}
+
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) return false;
+  const parts = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (!parts) return true;
+  const [, year, month, day] = parts.map(Number);
+  const probe = new Date(Date.UTC(year, month - 1, day));
+  return probe.getUTCMonth() === month - 1 && probe.getUTCDate() === day;
+}
+
+// Posts are either flat `content/posts/<slug>.md` files or page bundles `content/posts/<slug>/index.md`
+// whose directory also holds the post's assets. Bundle translations are `index.<lang>.md`.
+async function listPostSources() {
+  const sources = [];
+  for (const entry of await fs.readdir(POSTS_DIR, { withFileTypes: true })) {
+    if (entry.isFile() && entry.name.endsWith('.md')) {
+      sources.push({ file: entry.name, fullPath: path.join(POSTS_DIR, entry.name) });
+    } else if (entry.isDirectory()) {
+      const bundleDir = path.join(POSTS_DIR, entry.name);
+      for (const name of await fs.readdir(bundleDir)) {
+        if (!/^index(\.[\w-]+)?\.md$/.test(name)) continue;
+        // Named like a flat file so the slug and language suffix are derived the same way
+        const file = `${entry.name}${name.slice('index'.length)}`;
+        sources.push({ file, fullPath: path.join(bundleDir, name), bundleDir });
+      }
+    }
+  }
+  return sources;
+}
+
+// Relative links to files inside a bundle point at their copies next to the rendered post,
+// so they keep working from feeds, search results and translated pages.
+async function resolveBundleLinks(html, bundleDir, postUrl) {
+  return replaceAsync(html, /<a\b[^>]*>/gi, async (tag) => {
+    const { href } = parseHtmlAttributes(tag);
+    if (typeof href !== 'string' || !href || /^([a-z][\w+.-]*:|\/|#|\?)/i.test(href)) return tag;
+    const [, pathname, suffix = ''] = href.match(/^([^?#]*)(.*)$/);
+    let decoded = pathname;
+    try {
+      decoded = decodeURI(pathname);
+    } catch {
+      // keep the raw path
+    }
+    const target = path.resolve(bundleDir, decoded);
+    const rel = path.relative(bundleDir, target);
+    if (!rel || rel.startsWith('..') || isBundleSource(rel)) return tag;
+    const stats = await fs.stat(target).catch(() => null);
+    if (!stats?.isFile()) return tag;
+    const resolved = `${postUrl}${encodeURI(rel.split(path.sep).join('/'))}${suffix}`;
+    return tag.replace(/(\shref\s*=\s*)(["']?)[^"'\s>]*\2/i, `$1"${resolved}"`);
+  });
+}
+
+function isBundleSource(rel) {
+  return /^index(\.[\w-]+)?\.md$/.test(rel);
+}
+
+async function copyBundleAssets(bundleDir, outDir) {
+  for (const entry of await fs.readdir(bundleDir, { withFileTypes: true })) {
+    const src = path.join(bundleDir, entry.name);
+    if (entry.isDirectory()) {
+      await copyDirIfChanged(src, path.join(outDir, entry.name));
+    } else if (!isBundleSource(entry.name)) {
+      await writeFileIfChanged(path.join(outDir, entry.name), await fs.readFile(src));
+    }
+  }
+}
+
+function renderPostBody({ md, content, features = {}, t }) {
+  const env = { toc: [], t, ...features };
+  const html = md.render(content, env);
+  return { html, toc: env.toc, math: Boolean(env.usedMath), mermaid: Boolean(env.usedMermaid) };
+}
+
+// Local images referenced by posts, the avatar and the background are copied to dist/assets/images/
+// under content-hashed names, with resized AVIF/WebP variants for the formats the codecs can decode.
+function createImagePipeline(config, cacheDir = IMAGE_CACHE_DIR) {
+  const options = config.images || {};
+  const widths = (options.widths || [480, 960, 1440]).map(Number).filter(Boolean).sort((a, b) => a - b);
+  const formats = (options.formats || ['avif', 'webp']).filter((format) => IMAGE_ENCODERS[format]);
+  const quality = options.quality || {};
+  const baseUrl = normalizeBase(config.baseUrl || '/');
+  const variantKey = JSON.stringify({ widths, formats, quality });
+  const loaded = new Map();
+  const missing = [];
+  const outputs = new Map();
+
+  const url = (file) => `${baseUrl}assets/images/${file}`;
+
+  const processImage = async (filePath) => {
+    const source = await fs.readFile(filePath);
+    const ext = path.extname(filePath).toLowerCase();
+    const name = `${slugifySegment(path.basename(filePath, ext)) || 'image'}-${hashContent(source).slice(0, 10)}`;
+    outputs.set(`${name}${ext}`, filePath);
+
+    const decode = IMAGE_DECODERS[ext];
+    if (!decode) {
+      return { src: url(`${name}${ext}`), ...readImageSize(source, ext), variants: [] };
+    }
+
+    // Encoding is slow, so variants are kept in .cache/ and reused while the source is unchanged.
+    // New encodes go to `cacheDir`, which is a scratch directory during a check.
+    let meta = null;
+    for (const dir of new Set([IMAGE_CACHE_DIR, cacheDir])) {
+      const cached = JSON.parse((await readOptional(path.join(dir, `${name}.json`))) || 'null');
+      if (cached?.key === variantKey) {
+        meta = { ...cached, dir };
+        break;
+      }
+    }
+    if (!meta) {
+      await initImageCodecs();
+      const image = await decode(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength));
+      meta = { key: variantKey, width: image.width, height: image.height, variants: [] };
+      const targets = [...widths.filter((width) => width < image.width), Math.min(image.width, widths.at(-1) || image.width)];
+      for (const width of new Set(targets)) {
+        const height = Math.max(1, Math.round((image.height * width) / image.width));
+        const resized = width === image.width ? image : await resizeImage(image, { width, height });
+        for (const format of formats) {
+          const file = `${name}-${width}.${format}`;
+          const encoded = await IMAGE_ENCODERS[format](resized, quality[format] ? { quality: quality[format] } : {});
+          await fs.mkdir(cacheDir, { recursive: true });
+          await fs.writeFile(path.join(cacheDir, file), Buffer.from(encoded));
+          meta.variants.push({ format, width, file });
+        }
+      }
+      await fs.writeFile(path.join(cacheDir, `${name}.json`), JSON.stringify(meta), 'utf8');
+      meta.dir = cacheDir;
+    }
+
+    for (const variant of meta.variants) outputs.set(variant.file, path.join(meta.dir, variant.file));
+    return {
+      src: url(`${name}${ext}`),
+      width: meta.width,
+      height: meta.height,
+      variants: meta.variants.map((variant) => ({ ...variant, src: url(variant.file) }))
+    };
+  };
+
+  return {
+    formats,
+    sizes: options.sizes || '(max-width: 768px) 100vw, 768px',
+    outputs,
+    // Returns null for remote URLs; missing local files are collected and reported together
+    async lookup(src, fromDir, owner) {
+      if (!src || src === '/' || /^([a-z][\w+.-]*:|\/\/|#)/i.test(src)) return null;
+      let clean = src.split(/[?#]/)[0];
+      try {
+        clean = decodeURI(clean);
+      } catch {
+        // keep the raw path
+      }
+      const filePath = clean.startsWith('/') ? path.join(CONTENT_DIR, clean) : path.resolve(fromDir, clean);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (!stats?.isFile()) {
+        missing.push(`${owner}: ${src}`);
+        return null;
+      }
+      if (!loaded.has(filePath)) loaded.set(filePath, processImage(filePath));
+      return loaded.get(filePath);
+    },
+    assertNoneMissing() {
+      if (missing.length) {
+        throw new Error(`Missing local image(s):\n  ${missing.join('\n  ')}`);
+      }
+    }
+  };
+}
+
+let imageCodecsReady = null;
+
+// The codecs ship as WebAssembly; under Node their .wasm files are compiled from node_modules instead of fetched.
+function initImageCodecs() {
+  const compile = async (file) => WebAssembly.compile(await fs.readFile(path.join(JSQUASH_DIR, file)));
+  imageCodecsReady ??= Promise.all([
+    compile('png/codec/pkg/squoosh_png_bg.wasm').then(initPngDecode),
+    compile('jpeg/codec/dec/mozjpeg_dec.wasm').then(initJpegDecode),
+    compile('webp/codec/dec/webp_dec.wasm').then(initWebpDecode),
+    compile('webp/codec/enc/webp_enc_simd.wasm').then(initWebpEncode),
+    compile('avif/codec/enc/avif_enc.wasm').then(initAvifEncode),
+    compile('resize/lib/resize/pkg/squoosh_resize_bg.wasm').then(initResize)
+  ]);
+  return imageCodecsReady;
+}
+
+// Dimensions of formats that are copied without decoding
+function readImageSize(source, ext) {
+  if (ext === '.gif' && source.length >= 10) {
+    return { width: source.readUInt16LE(6), height: source.readUInt16LE(8) };
+  }
+  if (ext === '.svg') {
+    const svg = source.toString('utf8', 0, 2048);
+    const width = Number(svg.match(/<svg[^>]*\swidth="(\d+)(?:px)?"/)?.[1]);
+    const height = Number(svg.match(/<svg[^>]*\sheight="(\d+)(?:px)?"/)?.[1]);
+    if (width && height) return { width, height };
+  }
+  return {};
+}
+
+async function processSiteImages(config, images) {
+  const avatar = await images.lookup(config.profile?.avatar, CONTENT_DIR, 'profile.avatar');
+  if (avatar) {
+    config.profile = { ...config.profile, avatar: avatar.src, avatarSet: renderImageSet(avatar, 256) };
+  }
+  const background = await images.lookup(config.theme?.customBackground, CONTENT_DIR, 'theme.customBackground');
+  if (background) {
+    config.theme = { ...config.theme, customBackground: background.src, customBackgroundSet: renderImageSet(background) };
+  }
+}
+
+async function processPostImages(posts, images) {
+  for (const post of posts) {
+    const fromDir = path.dirname(post.filePath);
+    const owner = path.relative(ROOT, post.filePath);
+    const used = [];
+    post.html = await replaceAsync(post.html, /<img\b[^>]*>/gi, async (tag) => {
+      const attrs = parseHtmlAttributes(tag);
+      const image = await images.lookup(attrs.src, fromDir, owner);
+      if (image) used.push(image.src);
+      return renderPicture({ attrs, image, images });
     });
+    if (post.cover) {
+      const cover = await images.lookup(post.cover, fromDir, owner);
+      if (cover) {
+        post.cover = cover.src;
+        used.push(cover.src);
+      }
+    }
+    post.assetHash = used.length ? hashContent(used.join('\n')) : '';
+  }
+}
+
+async function processFriendAvatars(pages, images) {
+  for (const page of pages) {
+    for (const friend of page.friends || []) {
+      const avatar = await images.lookup(friend.avatar, DATA_DIR, path.relative(ROOT, page.filePath));
+      if (avatar) friend.avatar = avatar.src;
+    }
+  }
+}
+
+async function writeImageAssets(images) {
+  const outDir = path.join(DIST_DIR, 'assets', 'images');
+  for (const [file, source] of images.outputs) {
+    await writeFileIfChanged(path.join(outDir, file), await fs.readFile(source));
+  }
+}
+
+function renderPicture({ attrs, image, images }) {
+  const img = { ...attrs };
+  if (image) {
+    img.src = image.src;
+    if (image.width && !img.width) {
+      img.width = image.width;
+      img.height = image.height;
+    }
+  }
+  img.loading ??= 'lazy';
+  img.decoding ??= 'async';
+  const imgTag = `<img ${Object.entries(img)
+    .map(([key, value]) => (value === true ? key : `${key}="${`${value}`.replace(/"/g, '&quot;')}"`))
+    .join(' ')}>`;
+  if (!image?.variants.length) return imgTag;
+
+  const sources = images.formats
+    .map((format) => {
+      const srcset = image.variants
+        .filter((variant) => variant.format === format)
+        .map((variant) => `${variant.src} ${variant.width}w`)
+        .join(', ');
+      return `<source type="${IMAGE_TYPES[format]}" srcset="${srcset}" sizes="${images.sizes}">`;
+    })
+    .join('');
+  return `<picture>${sources}${imgTag}</picture>`;
+}
+
+// CSS `image-set()` for background images: per format, the smallest variant at least `width` wide
+function renderImageSet(image, width = Infinity) {
+  if (!image.variants.length) return '';
+  const candidates = [];
+  for (const format of new Set(image.variants.map((variant) => variant.format))) {
+    const variants = image.variants.filter((variant) => variant.format === format);
+    const pick = variants.find((variant) => variant.width >= width) || variants.at(-1);
+    candidates.push(`url('${pick.src}') type('${IMAGE_TYPES[format]}')`);
+  }
+  return `image-set(${[...candidates, `url('${image.src}')`].join(', ')})`;
+}
+
+function parseHtmlAttributes(tag) {
+  const attrs = {};
+  const body = tag.replace(/^<\w+/, '').replace(/\/?>$/, '');
+  for (const [, name, double, single, bare] of body.matchAll(/([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+    attrs[name.toLowerCase()] = double ?? single ?? bare ?? true;
+  }
+  return attrs;
+}
+
+async function replaceAsync(text, pattern, replacer) {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    parts.push(text.slice(last, match.index), await replacer(...match));
+    last = match.index + match[0].length;
+  }
+  parts.push(text.slice(last));
+  return parts.join('');
+}
+
+// Posts without `shortLink` get one from the provider in `services.shortLink.provider` (sink, rest
+// or local) at build time; the link is written back to the post's front matter, or to
+// content/.hozokura/links.json with `store: "sidecar"`.
+export async function syncShortLinks(posts, config, options = {}) {
+  const settings = config.services?.shortLink || {};
+  if (settings.enabled === false) return;
+  if (settings.store && !['frontMatter', 'sidecar'].includes(settings.store)) {
+    throw new Error(`Unknown services.shortLink.store "${settings.store}" (expected frontMatter or sidecar)`);
+  }
+  const pending = posts.filter((post) => !post.shortLink || typeof post.shortLink !== 'string');
+  if (!pending.length) return;
+  if (!config.siteUrl) {
+    console.log('Skipping short links: Missing siteUrl');
+    return;
+  }
+  let provider;
+  try {
+    provider = createShortLinkProvider(settings);
+  } catch (err) {
+    // Missing credentials usually mean short links are not set up on this machine; other
+    // configuration errors fail the build
+    if (!err.missingCredentials) throw err;
+    console.log(`Skipping short links: ${err.message}`);
+    return;
+  }
+
+  const targets = pending.map((post) => ({
+    post,
+    url: absoluteUrl(config, `${post.prefix}posts/${post.slug}/`),
+    slug: shortLinkSlug(post)
+  }));
+  if (options.dryRun) {
+    console.log(`Short links (dry run, ${provider.name}): ${targets.length} post(s) would get a link`);
+    for (const { url, slug } of targets) console.log(`  ${slug} → ${url}`);
+    return;
+  }
+
+  console.log(`Creating short links with ${provider.name}...`);
+  const sidecar = settings.store === 'sidecar';
+  const created = {};
+  let failed = 0;
+  await runWithConcurrency(targets, Number(settings.concurrency) || 4, async ({ post, url, slug }) => {
+    try {
+      const shortLink = await withRetries(() => provider.create({ url, slug }), settings);
+      post.shortLink = shortLink;
+      if (sidecar) {
+        created[slug] = shortLink;
+      } else {
+        const source = await fs.readFile(post.filePath, 'utf8');
+        await fs.writeFile(post.filePath, setFrontMatterValue(source, 'shortLink', shortLink), 'utf8');
+      }
+      console.log(`  ${slug}: ${shortLink}`);
+    } catch (err) {
+      failed++;
+      console.error(`  Failed to create short link for ${slug}: ${err.message}`);
+    }
+  });
+  if (sidecar && Object.keys(created).length) {
+    const links = { ...(await readStoredShortLinks()), ...created };
+    const sorted = Object.fromEntries(Object.keys(links).sort().map((key) => [key, links[key]]));
+    await writeFileIfChanged(SHORT_LINKS_FILE, `${JSON.stringify(sorted, null, 2)}\n`);
+  }
+  console.log(`Short links: ${targets.length - failed} created, ${failed} failed`);
+}
+
+// content/.hozokura/links.json maps short-link slugs to URLs for sites that keep posts untouched
+// (`services.shortLink.store: "sidecar"`). A `shortLink` in front matter takes precedence.
+async function applyStoredShortLinks(posts) {
+  const links = await readStoredShortLinks();
+  for (const post of posts) {
+    if (!post.shortLink && links[shortLinkSlug(post)]) post.shortLink = links[shortLinkSlug(post)];
+  }
+}
+
+async function readStoredShortLinks() {
+  const raw = await readOptional(SHORT_LINKS_FILE);
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${path.relative(ROOT, SHORT_LINKS_FILE)}: ${err.message}`);
+  }
+}
+
+// Sets one top-level front-matter key by editing only its line(s), so comments, quoting, key order,
+// line endings and the body stay byte-for-byte as written. The key is appended when absent.
+export function setFrontMatterValue(source, key, value) {
+  const eol = source.match(/\r?\n/)?.[0] ?? '\n';
+  const line = `${key}: ${formatYamlScalar(value)}`;
+  const open = source.match(/^\uFEFF?---[ \t]*\r?\n/);
+  if (!open) return `---${eol}${line}${eol}---${eol}${source}`;
+
+  const start = open[0].length;
+  const close = source.slice(start).match(/^---[ \t]*(\r?\n|$)/m);
+  if (!close) throw new Error(`Unterminated front matter; cannot set "${key}"`);
+  const end = start + close.index;
+  const lines = source.slice(start, end).split(/(?<=\n)/).filter(Boolean);
+
+  const escapedKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const index = lines.findIndex((item) => new RegExp(`^${escapedKey}[ \t]*:`).test(item));
+  if (index === -1) {
+    lines.push(`${line}${eol}`);
+  } else {
+    // A value may continue on indented lines (block scalars, nested maps) or `- ` list items
+    let last = index + 1;
+    while (last < lines.length && /^(\s+\S|-(\s|$))/.test(lines[last])) last++;
+    lines.splice(index, last - index, `${line}${lines[index].match(/\r?\n$/)?.[0] ?? eol}`);
+  }
+
+  const result = `${source.slice(0, start)}${lines.join('')}${source.slice(end)}`;
+  if (matter(result).data[key] !== value) throw new Error(`Could not update "${key}" without rewriting the front matter`);
+  return result;
+}
+
+function formatYamlScalar(value) {
+  return typeof value === 'string' ? `'${value.replace(/'/g, "''")}'` : JSON.stringify(value);
+}
+
+// Translations share a slug, so their short links are namespaced by language
+function shortLinkSlug(post) {
+  return post.prefix ? `${post.lang}-${post.slug}` : post.slug;
+}
+
+// The private URL the configured provider creates links at; the local provider has none.
+function shortLinkApiUrl(settings) {
+  const name = settings.provider || 'sink';
+  if (name === 'sink') return `${process.env.SINK_API_URL || settings.url || ''}`.replace(/\/$/, '');
+  if (name === 'rest') return `${settings.endpoint || ''}`.replace(/\/$/, '');
+  return '';
+}
+
+// A provider is `{ name, create({ url, slug }) }` resolving to the short URL. Errors carrying
+// `retryable: false` (client errors, unreadable responses) are not retried.
+export function createShortLinkProvider(settings = {}) {
+  const name = settings.provider || 'sink';
+  const timeout = Number(settings.timeout) || 10000;
+
+  if (name === 'local') {
+    // Deterministic and offline: the same long URL always maps to the same code. Nothing serves
+    // these codes, so `domain` must name a host that redirects them (or a throwaway test domain).
+    if (!settings.domain) throw new Error('services.shortLink.domain is required for the "local" provider');
+    const base = `${settings.domain}`.replace(/\/$/, '');
+    const length = Number(settings.length) || 7;
+    return {
+      name,
+      create: async ({ url }) => `${base}/${hashContent(url).slice(0, length)}`
+    };
+  }
+
+  if (name === 'sink') {
+    const sinkUrl = shortLinkApiUrl(settings);
+    const sinkKey = process.env.SINK_API_KEY;
+    if (!sinkUrl || !sinkKey) {
+      throw Object.assign(new Error('SINK_API_URL and SINK_API_KEY are required for the "sink" provider'), { missingCredentials: true });
+    }
+    return {
+      name,
+      async create({ url, slug }) {
+        const res = await fetch(`${sinkUrl}/api/link/create`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${sinkKey}` },
+          body: JSON.stringify({ url, slug }),
+          signal: AbortSignal.timeout(timeout)
+        });
+        // The slug is taken, most likely by an earlier build of the same post
+        if (res.status === 409) return `${sinkUrl}/${slug}`;
+        return parseShortLinkResponse(await readJsonResponse(res), sinkUrl);
+      }
+    };
+  }
+
+  if (name === 'rest') {
+    if (!settings.endpoint) throw new Error('services.shortLink.endpoint is required for the "rest" provider');
+    const headers = Object.fromEntries(
+      Object.entries(settings.headers || {}).map(([key, value]) => [key, `${value}`.replace(/\$\{(\w+)\}/g, (_m, env) => process.env[env] || '')])
+    );
+    const bodyTemplate = settings.body || { url: '{url}', slug: '{slug}' };
+    return {
+      name,
+      async create({ url, slug }) {
+        const body = JSON.parse(JSON.stringify(bodyTemplate), (_key, value) =>
+          typeof value === 'string' ? value.replace(/\{url\}/g, url).replace(/\{slug\}/g, slug) : value
+        );
+        const res = await fetch(settings.endpoint, {
+          method: settings.method || 'POST',
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(timeout)
+        });
+        const data = await readJsonResponse(res);
+        if (settings.responseField) {
+          const value = settings.responseField.split('.').reduce((node, key) => node?.[key], data);
+          if (typeof value !== 'string' || !value) {
+            throw Object.assign(new Error(`response has no "${settings.responseField}"`), { retryable: false });
+          }
+          return value;
+        }
+        return parseShortLinkResponse(data);
+      }
+    };
+  }
+
+  throw new Error(`Unknown short link provider "${name}"; use sink, rest or local`);
+}
+
+// Services disagree on where the short URL lives; a bare `slug` is resolved against `baseUrl`.
+export function parseShortLinkResponse(data, baseUrl = '') {
+  for (const key of ['link', 'shortLink', 'shortUrl', 'url']) {
+    if (typeof data?.[key] === 'string' && data[key]) return data[key];
+  }
+  if (data?.slug && baseUrl) return `${baseUrl.replace(/\/$/, '')}/${data.slug}`;
+  throw Object.assign(new Error(`unrecognised response ${JSON.stringify(data).slice(0, 200)}`), { retryable: false });
+}
+
+async function readJsonResponse(res) {
+  const text = await res.text();
+  if (!res.ok) {
+    // Rate limits and server errors are worth another attempt; other client errors are not
+    const retryable = res.status === 429 || res.status >= 500;
+    throw Object.assign(new Error(`HTTP ${res.status} ${text.slice(0, 200)}`), { status: res.status, retryable });
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw Object.assign(new Error(`invalid JSON response: ${text.slice(0, 200)}`), { retryable: false });
+  }
+}
+
+// Retries with exponential backoff: `retryDelay`, then twice that, and so on, up to `retries` times.
+export async function withRetries(task, settings = {}) {
+  const retries = settings.retries ?? 2;
+  const delay = Number(settings.retryDelay) || 500;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (err) {
+      if (attempt >= retries || err.retryable === false) throw err;
+      await new Promise((resolve) => setTimeout(resolve, delay * 2 ** attempt));
+    }
   }
+}
 
-  return posts.sort((a, b) => b.date - a.date);
+export async function runWithConcurrency(items, limit, worker) {
+  const queue = [...items];
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), queue.length) }, async () => {
+    while (queue.length) await worker(queue.shift());
+  });
+  await Promise.all(workers);
+}
+
+function feedsEnabled(config) {
+  return Boolean(config.siteUrl) && config.feed?.enabled !== false;
 }
 
-async function syncSink(posts, config) {
-  const sinkUrl = process.env.SINK_API_URL;
-  const sinkKey = process.env.SINK_API_KEY;
-  const siteUrl = config.siteUrl;
+function absoluteUrl(config, pathname = '') {
+  const siteUrl = `${config.siteUrl || ''}`.replace(/\/$/, '');
+  return `${siteUrl}${normalizeBase(config.baseUrl)}${pathname}`;
+}
 
-  if (!sinkUrl || !sinkKey || !siteUrl) {
-    console.log('Skipping Sink sync: Missing SINK_API_URL, SINK_API_KEY or siteUrl');
+async function writeFeeds({ config, i18n, posts, taxonomies }) {
+  if (!feedsEnabled(config)) {
+    if (!i18n.prefix) console.log('Skipping feeds: Missing siteUrl or feed.enabled is false');
     return;
   }
 
-  console.log('Syncing with Sink...');
+  const siteTitle = config.profile?.name || 'Hozokura';
+  await writeFeedSet({ config, posts, title: siteTitle, dir: i18n.prefix });
+
+  const groups = [
+    { type: 'tags', label: i18n.t('taxonomy.tags'), map: taxonomies.tags },
+    { type: 'categories', label: i18n.t('taxonomy.categories'), map: taxonomies.categories }
+  ];
+  for (const { type, label, map } of groups) {
+    for (const entry of map.values()) {
+      await writeFeedSet({
+        config,
+        posts: entry.posts,
+        title: `${siteTitle} · ${label} · ${entry.label}`,
+        dir: `${i18n.prefix}${type}/${entry.slug}/`
+      });
+    }
+  }
+}
 
-  for (const post of posts) {
-    // Check if shortLink is missing OR is an object (fix previous bug)
-    if (post.shortLink && typeof post.shortLink === 'string') continue;
+async function writeFeedSet({ config, posts, title, dir }) {
+  const limit = Number(config.feed?.limit) || 20;
+  const items = posts.slice(0, limit).map((post) => ({
+    post,
+    url: absoluteUrl(config, `${post.prefix}posts/${post.slug}/`),
+    content: config.feed?.content === 'full' ? absolutizeHtml(post.html, absoluteUrl(config, `${post.prefix}posts/${post.slug}/`)) : post.summary
+  }));
+  const feed = {
+    title,
+    description: config.profile?.tagline || config.profile?.bio || '',
+    author: config.profile?.name || '',
+    homeUrl: absoluteUrl(config, dir),
+    rssUrl: absoluteUrl(config, `${dir}feed.xml`),
+    atomUrl: absoluteUrl(config, `${dir}atom.xml`),
+    jsonUrl: absoluteUrl(config, `${dir}feed.json`),
+    updated: items.length ? items[0].post.date : new Date(),
+    items
+  };
 
-    const longUrl = `${siteUrl.replace(/\/$/, '')}${normalizeBase(config.baseUrl)}posts/${post.slug}/`;
-    console.log(`Creating short link for: ${post.title} (${post.slug})`);
+  const outDir = path.join(DIST_DIR, dir);
+  await fs.mkdir(outDir, { recursive: true });
+  await writeFileIfChanged(path.join(outDir, 'feed.xml'), renderRss(feed));
+  await writeFileIfChanged(path.join(outDir, 'atom.xml'), renderAtom(feed));
+  await writeFileIfChanged(path.join(outDir, 'feed.json'), renderJsonFeed(feed));
+}
 
+// Feed readers resolve relative URLs against their own origin, so full-content items carry absolute
+// `href`, `src` and `srcset` values resolved against the post's URL.
+function absolutizeHtml(html, pageUrl) {
+  const resolve = (value) => {
     try {
-      const res = await fetch(`${sinkUrl.replace(/\/$/, '')}/api/link/create`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${sinkKey}`
-        },
-        body: JSON.stringify({
-          url: longUrl,
-          slug: post.slug
-        })
-      });
+      return new URL(decodeEntities(value), pageUrl).href;
+    } catch {
+      return value;
+    }
+  };
+  return html.replace(/(\s(href|src|srcset)=")([^"]*)"/gi, (all, prefix, attr, value) => {
+    if (!value) return all;
+    const resolved = attr.toLowerCase() === 'srcset'
+      ? value.split(',').map((candidate) => candidate.trim().replace(/^\S+/, resolve)).join(', ')
+      : resolve(value);
+    return `${prefix}${escapeXml(resolved)}"`;
+  });
+}
 
-      if (!res.ok) {
-        if (res.status === 409) {
-             console.log(`Link already exists for ${post.slug}, using default construction.`);
-             const constructed = `${sinkUrl.replace(/\/$/, '')}/${post.slug}`;
-             // Update markdown
-             post.shortLink = constructed;
-             const newFrontmatter = { ...post.rawData, shortLink: constructed };
-             const newFileContent = matter.stringify(post.rawContent, newFrontmatter);
-             await fs.writeFile(post.filePath, newFileContent, 'utf8');
-             continue;
-        }
-        const errText = await res.text();
-        console.error(`Failed to create link for ${post.slug}: ${res.status} ${errText}`);
-        continue;
-      }
+function renderRss(feed) {
+  const itemsXml = feed.items
+    .map(({ post, url, content }) => `
+    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${escapeXml(url)}</link>
+      <guid isPermaLink="true">${escapeXml(url)}</guid>
+      <pubDate>${post.date.toUTCString()}</pubDate>
+      ${[...post.categories, ...post.tags].map((item) => `<category>${escapeXml(item.label)}</category>`).join('')}
+      <description>${escapeXml(content)}</description>
+    </item>`)
+    .join('');
 
-      const data = await res.json();
-      
-      // Sink returns { slug, link, ... } or similar.
-      // We want the full short link.
-      // If data.link is present, use it. Otherwise construct it.
-      let shortLink = null;
-      if (typeof data.link === 'string') {
-        shortLink = data.link;
-      } else if (typeof data.shortLink === 'string') {
-        shortLink = data.shortLink;
-      } else if (typeof data.shortUrl === 'string') {
-        shortLink = data.shortUrl;
-      } else if (data.url && typeof data.url === 'string') {
-         shortLink = data.url;
-      }
-      
-      if (!shortLink && data.slug) {
-        shortLink = `${sinkUrl.replace(/\/$/, '')}/${data.slug}`;
-      }
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.rssUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>${itemsXml}
+  </channel>
+</rss>
+`;
+}
 
-      if (shortLink) {
-        console.log(`Generated: ${shortLink}`);
-        post.shortLink = shortLink;
-        
-        // Update markdown file
-        const newFrontmatter = { ...post.rawData, shortLink };
-        const newFileContent = matter.stringify(post.rawContent, newFrontmatter);
-        await fs.writeFile(post.filePath, newFileContent, 'utf8');
-      }
-    } catch (err) {
-      console.error(`Error syncing ${post.slug}:`, err);
-    }
-  }
+function renderAtom(feed) {
+  const entriesXml = feed.items
+    .map(({ post, url, content }) => `
+  <entry>
+    <title>${escapeXml(post.title)}</title>
+    <link href="${escapeXml(url)}"/>
+    <id>${escapeXml(url)}</id>
+    <published>${post.date.toISOString()}</published>
+    <updated>${post.date.toISOString()}</updated>
+    ${[...post.categories, ...post.tags].map((item) => `<category term="${escapeXml(item.label)}"/>`).join('')}
+    <content type="html">${escapeXml(content)}</content>
+  </entry>`)
+    .join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.atomUrl)}" rel="self"/>
+  <link href="${escapeXml(feed.homeUrl)}"/>
+  <id>${escapeXml(feed.homeUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>${escapeXml(feed.author)}</name></author>${entriesXml}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed) {
+  const json = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.jsonUrl,
+    description: feed.description,
+    authors: feed.author ? [{ name: feed.author }] : [],
+    items: feed.items.map(({ post, url, content }) => ({
+      id: url,
+      url,
+      title: post.title,
+      content_html: content,
+      summary: post.summary,
+      date_published: post.date.toISOString(),
+      tags: [...post.categories, ...post.tags].map((item) => item.label)
+    }))
+  };
+  return JSON.stringify(json, null, 2);
+}
+
+function searchEnabled(config) {
+  return config.search?.enabled !== false;
+}
+
+async function writeSearchIndex({ i18n, posts }) {
+  // Rows are positional to keep the index small: url, title, date, summary, headings, tags, body
+  const index = {
+    fields: ['url', 'title', 'date', 'summary', 'headings', 'tags', 'body'],
+    docs: posts.map((post) => [
+      `${i18n.baseUrl}posts/${post.slug}/`,
+      post.title,
+      post.dateText,
+      htmlToText(post.summary),
+      post.toc.map((item) => item.text).join(' '),
+      [...post.categories, ...post.tags].map((item) => item.label).join(' '),
+      htmlToText(post.html)
+    ])
+  };
+  await writeFileIfChanged(path.join(DIST_DIR, i18n.prefix, 'search.json'), JSON.stringify(index));
+}
+
+function htmlToText(html) {
+  return `${html || ''}`
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function renderFeedLinks({ config, baseUrl, title, feedDir = '' }) {
+  if (!feedsEnabled(config)) return '';
+  const feeds = [{ dir: '', title: config.profile?.name || 'Hozokura' }];
+  if (feedDir) feeds.push({ dir: feedDir, title });
+  return feeds
+    .map(({ dir, title }) => `
+  <link rel="alternate" type="application/rss+xml" title="${escapeXml(title)} RSS" href="${baseUrl}${dir}feed.xml">
+  <link rel="alternate" type="application/atom+xml" title="${escapeXml(title)} Atom" href="${baseUrl}${dir}atom.xml">
+  <link rel="alternate" type="application/feed+json" title="${escapeXml(title)} JSON Feed" href="${baseUrl}${dir}feed.json">`)
+    .join('');
 }
 
-async function renderHome({ config, posts, sidebarData }) {
-  const homePath = path.join(CONTENT_DIR, 'home.md');
+async function renderHome({ config, theme, i18n, posts, sidebarData, md = createMarkdown(config), homeFile = path.join(CONTENT_DIR, 'home.md') }) {
+  const { t } = i18n;
   let homeContent = '';
+  const env = { t, math: config.markdown?.math, mermaid: config.markdown?.mermaid };
   try {
-    const raw = await fs.readFile(homePath, 'utf8');
-    const md = createMarkdown();
-    homeContent = md.render(raw);
+    const raw = await fs.readFile(homeFile, 'utf8');
+    homeContent = md.render(raw, env);
   } catch (err) {
     if (err.code !== 'ENOENT') throw err;
-    homeContent = '<p>写下你的第一篇文章吧，故事从这里开始。</p>';
+    homeContent = `<p>${t('home.empty')}</p>`;
   }
 
-  const baseUrl = normalizeBase(config.baseUrl || '/');
-  const nav = buildNav({ baseUrl });
+  const baseUrl = i18n.baseUrl;
+  const nav = buildNav({ config, i18n });
   return renderPage({
-    title: config.profile?.name || '主页',
-    content: `
-      <section class="article-card">
-        <div class="eyebrow">关于</div>
-        <h1>博主自述</h1>
-        ${homeContent}
-      </section>
-    `,
+    title: config.profile?.name || t('nav.home'),
+    content: renderTemplate(theme, 'home', { config, baseUrl, t, posts, content: homeContent }, renderHomeContent),
     config,
+    theme,
+    i18n,
     baseUrl,
     nav,
     toc: [],
-    sidebarData
+    sidebarData,
+    pagePath: i18n.prefix,
+    alternates: languageAlternates(i18n, ''),
+    extraHead: renderMarkdownAssets({ baseUrl, math: env.usedMath, mermaid: env.usedMermaid })
   });
 }
 
-async function renderArticles({ config, posts, sidebarData, page = 1, totalPages = 1 }) {
-  const baseUrl = normalizeBase(config.baseUrl || '/');
-  const nav = buildNav({ baseUrl });
-
-  const now = new Date();
-
-  const listHtml = (posts || [])
-    .map((post) => {
-      const isFuture = post.date > now;
-      const style = isFuture ? 'style="display:none"' : '';
-      const classes = `post-item${isFuture ? ' future-post' : ''}`;
-      // Use getTime() for reliable numeric comparison
-      const timestamp = post.date ? post.date.getTime() : 0;
+function renderHomeContent({ content, t }) {
+  return `
+      <section class="article-card">
+        <div class="eyebrow">${t('home.eyebrow')}</div>
+        <h1>${t('home.heading')}</h1>
+        ${content}
+      </section>
+    `;
+}
 
-      return `
-              <article class="${classes}" ${style} data-timestamp="${timestamp}">
-                <div class="post-meta">${post.dateText}</div>
-                <div class="title-row">
-                  <h2><a href="${baseUrl}posts/${post.slug}/">${post.title}</a></h2>
-                  <a class="read-more" href="${baseUrl}posts/${post.slug}/">阅读</a>
-                </div>
-                <p>${post.summary}</p>
-                ${renderPills({ baseUrl, post })}
-              </article>
-            `;
-    })
-    .join('');
+async function renderArticles({ config, theme, i18n, posts, sidebarData, page = 1, totalPages = 1 }) {
+  const { t } = i18n;
+  const baseUrl = i18n.baseUrl;
+  const nav = buildNav({ config, i18n });
 
   const buildHref = (n) => (n === 1 ? `${baseUrl}articles/` : `${baseUrl}articles/${n}/`);
 
@@ -420,9 +1849,9 @@ async function renderArticles({ config, posts, sidebarData, page = 1, totalPages
   let paginationHtml = '<div class="pagination">';
   // Prev
   if (page > 1) {
-    paginationHtml += `<a class="prev" href="${buildHref(page - 1)}">上一页</a>`;
+    paginationHtml += `<a class="prev" href="${buildHref(page - 1)}">${t('pagination.prev')}</a>`;
   } else {
-    paginationHtml += `<span class="disabled">上一页</span>`;
+    paginationHtml += `<span class="disabled">${t('pagination.prev')}</span>`;
   }
 
   // Page tokens
@@ -437,192 +1866,652 @@ async function renderArticles({ config, posts, sidebarData, page = 1, totalPages
 
   // Next
   if (page < totalPages) {
-    paginationHtml += `<a class="next" href="${buildHref(page + 1)}">下一页</a>`;
+    paginationHtml += `<a class="next" href="${buildHref(page + 1)}">${t('pagination.next')}</a>`;
   } else {
-    paginationHtml += `<span class="disabled">下一页</span>`;
+    paginationHtml += `<span class="disabled">${t('pagination.next')}</span>`;
   }
 
   paginationHtml += '</div>';
 
   return renderPage({
-    title: '文章列表',
-    content: `
+    title: t('articles.title'),
+    content: renderTemplate(
+      theme,
+      'list',
+      {
+        config,
+        baseUrl,
+        t,
+        posts,
+        page,
+        totalPages,
+        eyebrow: t('articles.eyebrow'),
+        heading: t('articles.heading'),
+        pagination: paginationHtml,
+        pills: true
+      },
+      renderPostList
+    ),
+    config,
+    theme,
+    i18n,
+    baseUrl,
+    nav,
+    toc: [],
+    sidebarData,
+    pagePath: page === 1 ? `${i18n.prefix}articles/` : `${i18n.prefix}articles/${page}/`,
+    alternates: page === 1 ? languageAlternates(i18n, 'articles/') : []
+  });
+}
+
+function renderPostList({ baseUrl, t, posts, eyebrow, heading, pagination = '', pills = false }) {
+  const listHtml = (posts || [])
+    .map(
+      (post) => `
+              <article class="post-item">
+                <div class="post-meta">${post.dateText}</div>
+                <div class="title-row">
+                  <h2><a href="${baseUrl}posts/${post.slug}/">${post.title}</a></h2>
+                  <a class="read-more" href="${baseUrl}posts/${post.slug}/">${t('post.readMore')}</a>
+                </div>
+                <p>${post.summary}</p>
+                ${pills ? renderPills({ baseUrl, post }) : ''}
+              </article>
+            `
+    )
+    .join('');
+
+  return `
       <section class="article-card">
-        <div class="eyebrow">全部文章</div>
-        <h1>文章一览</h1>
+        <div class="eyebrow">${eyebrow}</div>
+        <h1>${heading}</h1>
         <div class="post-list">
           ${listHtml}
         </div>
-        ${paginationHtml}
+        ${pagination}
+      </section>
+    `;
+}
+async function renderSearch({ config, theme, i18n, sidebarData }) {
+  const { t } = i18n;
+  const baseUrl = i18n.baseUrl;
+  const nav = buildNav({ config, i18n });
+  return renderPage({
+    title: t('search.title'),
+    content: `
+      <section class="article-card">
+        <div class="eyebrow">${t('search.eyebrow')}</div>
+        <h1>${t('search.title')}</h1>
+        <form class="search-box search-page-box" action="${baseUrl}search/" method="get" role="search">
+          <input type="search" name="q" id="search-input" placeholder="${t('search.placeholder')}" autocomplete="off" autofocus>
+        </form>
+        <p class="search-status" id="search-status"></p>
+        <div class="post-list" id="search-results"></div>
         <script>
           (function(){
-            try {
-              var now = Date.now();
-              var posts = document.querySelectorAll('.future-post');
-              posts.forEach(function(el){
-                var ts = parseInt(el.getAttribute('data-timestamp') || '0', 10);
-                if(ts <= now){
-                  el.style.display = 'block';
-                }
+            var input = document.getElementById('search-input');
+            var status = document.getElementById('search-status');
+            var results = document.getElementById('search-results');
+            var STRINGS = ${JSON.stringify({ found: t('search.found'), failed: t('search.failed') })};
+            var WEIGHTS = { title: 10, tags: 6, headings: 5, summary: 3, body: 1 };
+            var CJK = /[\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff]/;
+            var docs = null;
+
+            var normalize = function(s){ return (s || '').normalize('NFKC').toLowerCase(); };
+            var escapeHtml = function(s){
+              return s.replace(/[&<>"']/g, function(c){ return '&#' + c.charCodeAt(0) + ';'; });
+            };
+            // Whitespace alone cannot split CJK text, so terms are matched as substrings
+            // and long CJK terms fall back to overlapping bigrams.
+            var tokenize = function(q){
+              return normalize(q).split(/[\\s,，。、;；:：!！?？"'“”‘’()（）]+/).filter(Boolean);
+            };
+            var bigrams = function(term){
+              var out = [];
+              for (var i = 0; i < term.length - 1; i++) out.push(term.slice(i, i + 2));
+              return out;
+            };
+            var scoreTerm = function(doc, term){
+              var score = 0;
+              Object.keys(WEIGHTS).forEach(function(field){
+                var text = doc.norm[field];
+                var at = text.indexOf(term);
+                if (at === -1) return;
+                var hits = 0;
+                while (at !== -1 && hits < 5) { hits++; at = text.indexOf(term, at + term.length); }
+                score += WEIGHTS[field] * hits;
+              });
+              if (score || term.length < 3 || !CJK.test(term)) return score;
+              var grams = bigrams(term);
+              var found = grams.filter(function(g){ return doc.norm.all.indexOf(g) !== -1; }).length;
+              var ratio = found / grams.length;
+              return ratio >= 0.6 ? ratio * WEIGHTS.body * 2 : 0;
+            };
+            var snippet = function(doc, terms){
+              var body = doc.body;
+              var lower = doc.norm.body;
+              var at = -1;
+              terms.forEach(function(t){ var i = lower.indexOf(t); if (i !== -1 && (at === -1 || i < at)) at = i; });
+              var text = at === -1 ? (doc.summary || body.slice(0, 100)) : body.slice(Math.max(0, at - 30), at + 90);
+              var html = escapeHtml(text);
+              terms.forEach(function(t){
+                var safe = escapeHtml(t).replace(/[.*+?^$|()[\\]{}\\\\]/g, '\\\\$&');
+                html = html.replace(new RegExp(safe, 'gi'), function(m){ return '<mark>' + m + '</mark>'; });
               });
-            } catch(e){}
+              return (at > 30 ? '…' : '') + html + '…';
+            };
+            var run = function(q){
+              var terms = tokenize(q);
+              if (!terms.length) { results.innerHTML = ''; status.textContent = ''; return; }
+              var matches = docs
+                .map(function(doc){
+                  var total = 0;
+                  for (var i = 0; i < terms.length; i++) {
+                    var s = scoreTerm(doc, terms[i]);
+                    if (!s) return null;
+                    total += s;
+                  }
+                  return { doc: doc, score: total };
+                })
+                .filter(Boolean)
+                .sort(function(a, b){ return b.score - a.score; });
+              status.textContent = STRINGS.found.replace('{count}', matches.length);
+              results.innerHTML = matches.map(function(m){
+                return '<article class="post-item">'
+                  + '<div class="post-meta">' + escapeHtml(m.doc.date) + '</div>'
+                  + '<div class="title-row"><h2><a href="' + m.doc.url + '">' + escapeHtml(m.doc.title) + '</a></h2></div>'
+                  + '<p>' + snippet(m.doc, terms) + '</p>'
+                  + '</article>';
+              }).join('');
+            };
+
+            fetch('${baseUrl}search.json')
+              .then(function(res){ return res.json(); })
+              .then(function(index){
+                docs = index.docs.map(function(row){
+                  var doc = { norm: {} };
+                  index.fields.forEach(function(field, i){ doc[field] = row[i] || ''; });
+                  Object.keys(WEIGHTS).forEach(function(field){ doc.norm[field] = normalize(doc[field]); });
+                  doc.norm.all = Object.keys(WEIGHTS).map(function(field){ return doc.norm[field]; }).join(' ');
+                  return doc;
+                });
+                var q = new URLSearchParams(location.search).get('q') || '';
+                input.value = q;
+                run(q);
+                input.addEventListener('input', function(){
+                  run(input.value);
+                  history.replaceState(null, '', input.value ? '?q=' + encodeURIComponent(input.value) : location.pathname);
+                });
+              })
+              .catch(function(){ status.textContent = STRINGS.failed; });
           })();
         </script>
       </section>
     `,
     config,
+    theme,
+    i18n,
     baseUrl,
     nav,
     toc: [],
-    sidebarData
+    sidebarData,
+    pagePath: `${i18n.prefix}search/`,
+    alternates: languageAlternates(i18n, 'search/')
   });
 }
-async function renderPost({ config, post, posts, sidebarData }) {
-  const baseUrl = normalizeBase(config.baseUrl || '/');
-  const nav = buildNav({ baseUrl });
+
+async function renderPost({ config, theme, i18n, post, posts, sidebarData }) {
+  const { t } = i18n;
+  const baseUrl = i18n.baseUrl;
+  const nav = buildNav({ config, i18n });
+  const copyright = renderPostCopyright({ config, baseUrl, t, post });
+  const comments = post.comments ? renderPostComments({ config, t, locale: i18n.locale }) : '';
   return renderPage({
     title: post.title,
-    content: `
+    content: renderTemplate(theme, 'post', { config, baseUrl, t, post, copyright, comments }, renderPostContent),
+    config,
+    theme,
+    i18n,
+    baseUrl,
+    nav,
+    toc: post.toc,
+    sidebarData,
+    pagePath: `${post.prefix}posts/${post.slug}/`,
+    alternates: post.alternates,
+    extraHead: renderMarkdownAssets({ baseUrl, math: post.math, mermaid: post.mermaid }),
+    meta: {
+      type: 'article',
+      description: post.summary,
+      image: post.cover,
+      publishedTime: Number.isNaN(post.date.getTime()) ? '' : post.date.toISOString(),
+      tags: post.tags.map((tag) => tag.label),
+      jsonLd: renderPostJsonLd({ config, post, locale: i18n.locale })
+    }
+  });
+}
+
+async function renderStandalonePage({ config, theme, i18n, page, sidebarData }) {
+  const { t } = i18n;
+  const baseUrl = i18n.baseUrl;
+  const nav = buildNav({ config, i18n });
+  return renderPage({
+    title: page.title,
+    content: renderTemplate(theme, page.layout, { config, baseUrl, t, page, friends: page.friends }, PAGE_LAYOUTS[page.layout]),
+    config,
+    theme,
+    i18n,
+    baseUrl,
+    nav,
+    toc: page.toc,
+    sidebarData,
+    pagePath: `${page.prefix}${page.path}`,
+    alternates: page.alternates,
+    extraHead: renderMarkdownAssets({ baseUrl, math: page.math, mermaid: page.mermaid }),
+    meta: { description: page.summary, image: page.cover }
+  });
+}
+
+function renderPageContent({ page }) {
+  return `
+      <article class="article-card">
+        <h1>${page.title}</h1>
+        ${page.html}
+      </article>
+    `;
+}
+
+function renderFriendsContent({ page, friends, t }) {
+  const cards = friends
+    .map((friend) => {
+      const avatar = friend.avatar
+        ? `<img class="friend-avatar" src="${escapeXml(friend.avatar)}" alt="" loading="lazy" decoding="async">`
+        : `<span class="friend-avatar" aria-hidden="true">${escapeXml(Array.from(friend.name)[0])}</span>`;
+      return `<a class="friend-card" href="${escapeXml(friend.url)}" target="_blank" rel="noopener">
+            ${avatar}
+            <span class="friend-name">${escapeXml(friend.name)}</span>
+            <span class="friend-description">${escapeXml(friend.description)}</span>
+          </a>`;
+    })
+    .join('');
+  return `
+      <article class="article-card">
+        <h1>${page.title}</h1>
+        ${page.html}
+        ${cards ? `<div class="friend-grid">${cards}</div>` : `<p>${t('friends.empty')}</p>`}
+      </article>
+    `;
+}
+
+function renderPostContent({ baseUrl, t, post, copyright, comments }) {
+  return `
       <article class="article-card">
-        <div class="eyebrow">${post.dateText}</div>
+        <div class="eyebrow">${post.dateText}${post.draft ? ` · ${t('post.draft')}` : ''}${post.scheduled ? ` · ${t('post.scheduled')}` : ''}</div>
         <h1>${post.title}</h1>
         <div class="meta-chips">
           ${post.categories.length
-            ? `<div class="chip-row"><span class="chip-label">分类</span>${post.categories
+            ? `<div class="chip-row"><span class="chip-label">${t('taxonomy.categories')}</span>${post.categories
                 .map((cat) => `<a class="chip" href="${baseUrl}categories/${cat.slug}/">${cat.label}</a>`)
                 .join('')}</div>`
             : ''}
           ${post.tags.length
-            ? `<div class="chip-row"><span class="chip-label">标签</span>${post.tags
+            ? `<div class="chip-row"><span class="chip-label">${t('taxonomy.tags')}</span>${post.tags
                 .map((tag) => `<a class="chip" href="${baseUrl}tags/${tag.slug}/">${tag.label}</a>`)
                 .join('')}</div>`
             : ''}
         </div>
         ${post.html}
       </article>
+${copyright}${comments}
+    `;
+}
+
+// The link is fixed at build time: the post's short link when one exists, otherwise its canonical URL.
+// Browsers never see the short-link service; `services.shortLink.client` may name a public read-only
+// endpoint that is queried with GET to fill in a link created after the page was built.
+function renderPostCopyright({ config, baseUrl, t, post }) {
+  const license = '<a href="https://creativecommons.org/licenses/by-nc-sa/4.0/" target="_blank">CC BY-NC-SA 4.0</a>';
+  const pagePath = `${post.prefix}posts/${post.slug}/`;
+  const longUrl = config.siteUrl ? absoluteUrl(config, pagePath) : `${baseUrl}posts/${post.slug}/`;
+  const link = post.shortLink || longUrl;
+  const lookup = post.shortLink ? '' : shortLinkLookupUrl(config, { url: longUrl, slug: shortLinkSlug(post) });
+  return `
       <section class="article-card copyright-card">
-        <h3>版权声明</h3>
+        <h3>${t('copyright.heading')}</h3>
         <div class="copyright-grid">
           <div class="copyright-item">
-            <span class="cp-label">本文标题：</span>
+            <span class="cp-label">${t('copyright.title')}</span>
             <span class="cp-value">${post.title}</span>
           </div>
           <div class="copyright-item">
-            <span class="cp-label">本文作者：</span>
+            <span class="cp-label">${t('copyright.author')}</span>
             <span class="cp-value">${config.profile.name}</span>
           </div>
-          ${config.services?.shortLink?.enabled ? `
-          <div class="copyright-item">
-            <span class="cp-label">本文链接：</span>
-            <span class="cp-value"><a id="short-link" href="#">生成中...</a></span>
-            <button class="copy-btn" onclick="copyShortLink(this)">复制</button>
-          </div>
-          ` : `
           <div class="copyright-item">
-            <span class="cp-label">本文链接：</span>
-            <span class="cp-value"><a id="post-link" href="${baseUrl}posts/${post.slug}/">${baseUrl}posts/${post.slug}/</a></span>
-            <button class="copy-btn" onclick="copyLink(this)">复制</button>
+            <span class="cp-label">${t('copyright.link')}</span>
+            <span class="cp-value"><a id="post-link" href="${escapeXml(link)}">${escapeXml(link)}</a></span>
+            <button class="copy-btn" type="button" onclick="copyPostLink(this)">${t('ui.copy')}</button>
           </div>
-          `}
           <div class="copyright-item full-width">
-            <span class="cp-label">版权声明：</span>
-            <span class="cp-value">本博客所有文章除特别声明外，均采用 <a href="https://creativecommons.org/licenses/by-nc-sa/4.0/" target="_blank">CC BY-NC-SA 4.0</a> 许可协议。转载请注明出处。</span>
+            <span class="cp-label">${t('copyright.license')}</span>
+            <span class="cp-value">${t('copyright.notice', { license })}</span>
           </div>
         </div>
         <script>
-          (function() {
-            const linkEl = document.getElementById('post-link');
-            if (linkEl) {
-              linkEl.href = window.location.href;
-              linkEl.innerText = window.location.href;
-            }
-
-            const shortLinkEl = document.getElementById('short-link');
-            // If shortLink is already generated at build time, use it.
-            const preGeneratedShortLink = "${post.shortLink || ''}";
-            
-            if (shortLinkEl) {
-              if (preGeneratedShortLink) {
-                shortLinkEl.href = preGeneratedShortLink;
-                shortLinkEl.innerText = preGeneratedShortLink;
-              } else {
-                // Fallback to client-side generation if not present (e.g. build failed to sync)
-                const shortLinkService = "${config.services?.shortLink?.url || ''}";
-                if (shortLinkService) {
-                   const targetUrl = window.location.href;
-                   fetch(shortLinkService, {
-                     method: 'POST',
-                     headers: { 'Content-Type': 'application/json' },
-                     body: JSON.stringify({ url: targetUrl, slug: "${post.slug}" })
-                   })
-                   .then(res => res.json())
-                   .then(data => {
-                     const result = data.link || data.shortUrl || data.url;
-                     if(result) {
-                       shortLinkEl.href = result;
-                       shortLinkEl.innerText = result;
-                     } else if (data.slug) {
-                       const origin = new URL(shortLinkService).origin;
-                       const full = origin + '/' + data.slug;
-                       shortLinkEl.href = full;
-                       shortLinkEl.innerText = full;
-                     } else {
-                       shortLinkEl.innerText = '生成失败';
-                     }
-                   })
-                   .catch(e => {
-                     console.error(e);
-                     shortLinkEl.innerText = '服务不可用';
-                   });
-                }
-              }
-            }
-          })();
-
-          function copyLink(btn) {
-            navigator.clipboard.writeText(window.location.href).then(() => {
+          function copyPostLink(btn) {
+            navigator.clipboard.writeText(document.getElementById('post-link').href).then(() => {
               const original = btn.innerText;
-              btn.innerText = '已复制';
+              btn.innerText = ${JSON.stringify(t('ui.copied'))};
               setTimeout(() => { btn.innerText = original; }, 2000);
             });
           }
+        </script>${lookup ? `
+        <script>
+          fetch(${JSON.stringify(lookup)}, { credentials: 'omit' })
+            .then((res) => (res.ok ? res.json() : null))
+            .then((data) => {
+              const result = data && (data.link || data.shortLink || data.shortUrl || data.url);
+              if (typeof result !== 'string' || !result.startsWith('http')) return;
+              const linkEl = document.getElementById('post-link');
+              linkEl.href = result;
+              linkEl.textContent = result;
+            })
+            .catch(() => {});
+        </script>` : ''}
+      </section>
+  `;
+}
 
-          function copyShortLink(btn) {
-             const shortLinkEl = document.getElementById('short-link');
-             if(shortLinkEl && shortLinkEl.href && !shortLinkEl.href.endsWith('#')) {
-                navigator.clipboard.writeText(shortLinkEl.href).then(() => {
-                  const original = btn.innerText;
-                  btn.innerText = '已复制';
-                  setTimeout(() => { btn.innerText = original; }, 2000);
-                });
-             }
-          }
+function resolveComments(config, locale) {
+  const settings = config.services?.comments;
+  if (!settings?.enabled) return null;
+  const adapter = COMMENT_PROVIDERS[settings.provider];
+  if (!adapter) {
+    throw new Error(`Unknown services.comments.provider "${settings.provider}" (expected ${Object.keys(COMMENT_PROVIDERS).join(', ')})`);
+  }
+  return adapter(settings, locale);
+}
+
+function requireCommentSetting(settings, key) {
+  if (!settings[key]) throw new Error(`services.comments.${key} is required for the ${settings.provider} provider`);
+  return settings[key];
+}
+
+// Giscus and Utterances read their options from the attributes of their own script tag.
+function commentEmbedScript(src, attrs, themeAttribute, themes) {
+  return `const script = document.createElement('script');
+          script.src = '${src}';
+          script.async = true;
+          script.crossOrigin = 'anonymous';
+          Object.entries(${JSON.stringify(attrs)}).forEach(([name, value]) => script.setAttribute(name, value));
+          script.setAttribute('${themeAttribute}', ${JSON.stringify(themes)}[mode]);
+          thread.appendChild(script);`;
+}
+
+// The thread loads once the section comes near the viewport. Observation starts on DOMContentLoaded,
+// after the page script has applied the stored light/dark mode.
+function renderPostComments({ config, t, locale }) {
+  const provider = resolveComments(config, locale);
+  if (!provider) return '';
+  return `
+      <section class="article-card comments-card" id="comments">
+        <h3>${t('comments.heading')}</h3>
+        <div class="comments-thread" id="comments-thread"></div>
+        <noscript><p>${t('comments.noscript')}</p></noscript>
+        <script>
+          document.addEventListener('DOMContentLoaded', () => {
+            const thread = document.getElementById('comments-thread');
+            const currentMode = () => (document.documentElement.dataset.theme === 'dark' ? 'dark' : 'light');
+            let loaded = false;
+            const load = () => {
+              if (loaded) return;
+              loaded = true;
+              const mode = currentMode();
+              ${provider.load}
+            };
+            if ('IntersectionObserver' in window) {
+              const observer = new IntersectionObserver((entries) => {
+                if (!entries.some((entry) => entry.isIntersecting)) return;
+                observer.disconnect();
+                load();
+              }, { rootMargin: '200px 0px' });
+              observer.observe(thread);
+            } else {
+              load();
+            }${provider.setTheme ? `
+            new MutationObserver(() => {
+              if (!loaded) return;
+              const mode = currentMode();
+              ${provider.setTheme}
+            }).observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });` : ''}
+          });
         </script>
-      </section>
-    `,
-    config,
-    baseUrl,
-    nav,
-    toc: post.toc,
-    sidebarData
-  });
+      </section>`;
 }
 
-function renderPage({ title, content, config, nav, toc, baseUrl, sidebarData }) {
-  const assetHref = `${baseUrl}assets/style.css`;
-  const profile = config.profile || {};
-  const avatarClass = profile.avatar ? 'avatar has-image' : 'avatar';
-  const avatarStyle = profile.avatar ? `style="background-image: url('${profile.avatar}')"` : '';
-  
-  // Analytics Injection
-  const analyticsScript = config.services?.analytics?.enabled && config.services.analytics.src
-    ? `<script src="${config.services.analytics.src}" defer></script>`
+// Pages are public, so the endpoint browsers query must never be the private create API.
+function assertPublicShortLinkClient(config) {
+  const settings = config.services?.shortLink || {};
+  const endpoint = settings.client?.endpoint;
+  const apiUrl = shortLinkApiUrl(settings);
+  if (endpoint && apiUrl && endpoint.startsWith(apiUrl)) {
+    throw new Error(`services.shortLink.client.endpoint must be a public read-only endpoint, not the ${settings.provider || 'sink'} API (${apiUrl})`);
+  }
+}
+
+// `{url}` and `{slug}` in the client endpoint are filled in per post.
+function shortLinkLookupUrl(config, { url, slug }) {
+  const endpoint = config.services?.shortLink?.client?.endpoint;
+  if (!endpoint) return '';
+  return endpoint.replace(/\{url\}/g, encodeURIComponent(url)).replace(/\{slug\}/g, encodeURIComponent(slug));
+}
+
+// Every page goes through the theme's base layout; missing templates fall back to the built-in markup.
+function renderPage({ title, content, config, theme, i18n, nav, toc, baseUrl, sidebarData, feedDir, pagePath = '', alternates = [], meta = {}, extraHead = '' }) {
+  // Assets live at the site root; `baseUrl` points at the current language tree
+  const siteBase = normalizeBase(config.baseUrl || '/');
+  const assetHref = `${siteBase}assets/style.css`;
+  const canonicalLink = config.siteUrl
+    ? `<link rel="canonical" href="${escapeXml(absoluteUrl(config, pagePath))}">`
     : '';
+  const metaTags = renderMetaTags({ title, config, pagePath, meta, locale: i18n.locale });
+  const iconCss = config.theme?.iconCss ?? FONT_AWESOME_CSS;
+
+  const analyticsScript = renderAnalyticsScript({ config, baseUrl, t: i18n.t });
 
   // Custom Background Injection
+  const customBgSet = config.theme?.customBackgroundSet
+    ? ` background-image: ${config.theme.customBackgroundSet} !important;`
+    : '';
   const customBgStyle = config.theme?.customBackground
-    ? `<style>body { background-image: url('${config.theme.customBackground}') !important; background-size: cover !important; background-attachment: fixed; }</style>`
+    ? `<style>body { background-image: url('${config.theme.customBackground}') !important;${customBgSet} background-size: cover !important; background-attachment: fixed; }</style>`
+    : '';
+
+  const head = [
+    canonicalLink,
+    renderHreflangLinks({ config, i18n, alternates }),
+    metaTags,
+    iconCss ? `<link rel="stylesheet" href="${iconCss}">` : '',
+    `<link rel="stylesheet" href="${assetHref}">`,
+    `<link rel="stylesheet" href="${siteBase}assets/palette.css">${renderFeedLinks({ config, baseUrl, title, feedDir })}`,
+    extraHead,
+    customBgStyle,
+    analyticsScript
+  ]
+    .filter(Boolean)
+    .join('\n  ');
+
+  // Language switcher entries point at the translation of this page, or at that language's home
+  const languages = i18n.languages.length > 1
+    ? i18n.languages.map((language) => {
+        const match = alternates.find((alt) => alt.code === language.code);
+        return {
+          code: language.code,
+          locale: language.locale,
+          label: language.label,
+          href: `${siteBase}${match ? match.pagePath : language.prefix}`,
+          current: language.code === i18n.code
+        };
+      })
+    : [];
+
+  const ctx = {
+    title,
+    config,
+    baseUrl,
+    nav: markActiveNav(nav, `${siteBase}${pagePath}`, baseUrl),
+    toc,
+    sidebarData,
+    pagePath,
+    t: i18n.t,
+    lang: i18n.locale,
+    languages
+  };
+  const profile = renderTemplate(theme, 'profile', { ...ctx, profile: config.profile || {}, palettes: theme?.palettes }, renderProfileCard);
+  const sidebar = renderTemplate(theme, 'sidebar', ctx, renderRightSidebar);
+  return renderTemplate(theme, 'base', { ...ctx, head, content, profile, sidebar, scripts: PAGE_SCRIPT }, renderBaseLayout);
+}
+
+// `services.analytics.src` on its own is the pre-provider config and keeps working as `generic`.
+function resolveAnalytics(config) {
+  const settings = config.services?.analytics;
+  if (!settings?.enabled) return null;
+  const provider = settings.provider || 'generic';
+  const adapter = ANALYTICS_PROVIDERS[provider];
+  if (!adapter) {
+    throw new Error(`Unknown services.analytics.provider "${provider}" (expected ${Object.keys(ANALYTICS_PROVIDERS).join(', ')})`);
+  }
+  const { src, attrs, inline = '' } = adapter({ ...settings, provider });
+  return {
+    src,
+    attrs: Object.fromEntries(Object.entries(attrs).filter(([, value]) => value !== undefined && value !== null)),
+    inline,
+    respectDoNotTrack: settings.respectDoNotTrack !== false,
+    consent: Boolean(settings.consent)
+  };
+}
+
+function requireAnalyticsSetting(settings, key) {
+  if (!settings[key]) throw new Error(`services.analytics.${key} is required for the ${settings.provider} provider`);
+  return settings[key];
+}
+
+// The tracker is injected from a loader rather than a static tag so Do-Not-Track and the consent
+// banner are checked before any request leaves the browser.
+function renderAnalyticsScript({ config, baseUrl, t }) {
+  const analytics = resolveAnalytics(config);
+  if (!analytics) return '';
+  const privacyUrl = config.services.analytics.privacyUrl;
+  const privacyHref = privacyUrl?.startsWith('/') ? `${baseUrl}${privacyUrl.slice(1)}` : privacyUrl;
+  const banner = analytics.consent
+    ? `<div class="consent-banner" role="region" aria-label="${t('analytics.label')}">
+      <p>${t('analytics.message')}${privacyHref ? ` <a href="${escapeXml(privacyHref)}">${t('analytics.privacy')}</a>` : ''}</p>
+      <div class="consent-actions">
+        <button type="button" data-consent="granted">${t('analytics.accept')}</button>
+        <button type="button" data-consent="denied">${t('analytics.decline')}</button>
+      </div>
+    </div>`
     : '';
+  return `<script>
+    (() => {
+      const analytics = ${JSON.stringify({ src: analytics.src, attrs: analytics.attrs, inline: analytics.inline, respectDoNotTrack: analytics.respectDoNotTrack })};
+      const doNotTrack = [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack].some((value) => value === '1' || value === 'yes')
+        || navigator.globalPrivacyControl === true;
+      if (analytics.respectDoNotTrack && doNotTrack) return;
+
+      const load = () => {
+        if (analytics.inline) {
+          const init = document.createElement('script');
+          init.textContent = analytics.inline;
+          document.head.appendChild(init);
+        }
+        const script = document.createElement('script');
+        script.src = analytics.src;
+        script.async = true;
+        Object.entries(analytics.attrs).forEach(([name, value]) => script.setAttribute(name, value));
+        document.head.appendChild(script);
+      };
+      const banner = ${JSON.stringify(banner)};
+      if (!banner) return load();
+
+      // Storage can be blocked (e.g. cookies disabled); the banner is then shown on every visit
+      const KEY = 'hozokura-analytics-consent';
+      const storage = {
+        get: () => {
+          try {
+            return localStorage.getItem(KEY);
+          } catch {
+            return null;
+          }
+        },
+        set: (value) => {
+          try {
+            localStorage.setItem(KEY, value);
+          } catch {}
+        }
+      };
+      const choice = storage.get();
+      if (choice === 'granted') return load();
+      if (choice === 'denied') return;
+      document.addEventListener('DOMContentLoaded', () => {
+        document.body.insertAdjacentHTML('beforeend', banner);
+        const el = document.body.lastElementChild;
+        el.addEventListener('click', (event) => {
+          const value = event.target.dataset?.consent;
+          if (!value) return;
+          storage.set(value);
+          el.remove();
+          if (value === 'granted') load();
+        });
+      });
+    })();
+  </script>`;
+}
+
+function renderHreflangLinks({ config, i18n, alternates }) {
+  if (alternates.length < 2) return '';
+  const href = (pagePath) =>
+    escapeXml(config.siteUrl ? absoluteUrl(config, pagePath) : `${normalizeBase(config.baseUrl || '/')}${pagePath}`);
+  const links = alternates.map(({ code, pagePath }) => {
+    const locale = i18n.languages.find((language) => language.code === code)?.locale || code;
+    return `<link rel="alternate" hreflang="${locale}" href="${href(pagePath)}">`;
+  });
+  const fallback = alternates.find(({ code }) => code === i18n.languages[0].code);
+  if (fallback) links.push(`<link rel="alternate" hreflang="x-default" href="${href(fallback.pagePath)}">`);
+  return links.join('\n  ');
+}
+
+function renderBaseLayout({ title, head, content, profile, sidebar, scripts, t, lang }) {
+  return `<!doctype html>
+<html lang="${lang}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeXml(htmlToText(title))}</title>
+  ${head}
+</head>
+<body>
+  <button class="mobile-menu-btn" aria-label="${t('ui.openMenu')}">
+    <span></span><span></span><span></span>
+  </button>
+  <div class="page">
+    <aside class="sidebar">
+      ${profile}
+    </aside>
+  <div class="drawer-overlay" aria-hidden="true"></div>
+    <main class="content">
+      ${content}
+    </main>
+    ${sidebar}
+  </div>
+${scripts}
+</body>
+</html>`;
+}
+
+function renderProfileCard({ profile, nav, palettes, t, languages }) {
+  const avatarClass = profile.avatar ? 'avatar has-image' : 'avatar';
+  const avatarSet = profile.avatarSet ? `; background-image: ${profile.avatarSet}` : '';
+  const avatarStyle = profile.avatar ? `style="background-image: url('${profile.avatar}')${avatarSet}"` : '';
 
   const renderProfileLinks = () => {
     const iconPickers = [
@@ -641,54 +2530,71 @@ function renderPage({ title, content, config, nav, toc, baseUrl, sidebarData })
       .join('');
   };
 
-  return `<!doctype html>
-<html lang="zh-CN">
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <title>${title}</title>
-  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.2/css/all.min.css">
-  <link rel="stylesheet" href="${assetHref}">
-  ${customBgStyle}
-  ${analyticsScript}
-</head>
-<body>
-  <button class="mobile-menu-btn" aria-label="打开菜单">
-    <span></span><span></span><span></span>
-  </button>
-  <div class="page">
-    <aside class="sidebar">
+  return `
       <div class="profile-card">
         <div class="${avatarClass}" ${avatarStyle}></div>
         <div class="profile-text">
-          <div class="eyebrow">${profile.location || 'somewhere'}</div>
-          <h1>${profile.name || '博主'}</h1>
+          <div class="eyebrow">${profile.location || t('profile.location')}</div>
+          <h1>${profile.name || t('profile.name')}</h1>
           <p class="tagline">${profile.tagline || ''}</p>
           <p class="bio">${profile.bio || ''}</p>
         </div>
         <div class="menu">
           <ul>
-            ${nav
-              .map((item) => `<li><a href="${item.href}">${item.label}</a></li>`)
-              .join('')}
+            ${renderNavItems(nav)}
           </ul>
         </div>
-        <button class="theme-toggle" aria-label="切换明暗模式" data-mode="light">
+        <button class="theme-toggle" aria-label="${t('ui.toggleTheme')}" data-mode="light">
           <span class="thumb">☀️</span>
           <span class="track"></span>
         </button>
+        ${renderPaletteSwitch(palettes, t)}
+        ${renderLanguageSwitch(languages, t)}
         <div class="links">
           ${renderProfileLinks()}
         </div>
       </div>
-    </aside>
-  <div class="drawer-overlay" aria-hidden="true"></div>
-    <main class="content">
-      ${content}
-    </main>
-    ${renderRightSidebar({ toc, sidebarData, baseUrl, config })}
-  </div>
-  <script>
+  `;
+}
+
+function renderNavItems(items) {
+  return items
+    .map((item) => {
+      const icon = item.icon ? `<i class="${item.icon}" aria-hidden="true"></i> ` : '';
+      if (item.children.length) {
+        const open = item.active ? ' open' : '';
+        return `<li class="has-children${item.active ? ' active' : ''}"><details${open}><summary>${icon}${item.label}</summary><ul>${renderNavItems(item.children)}</ul></details></li>`;
+      }
+      const current = item.current ? ' aria-current="page"' : '';
+      const external = item.external ? ' target="_blank" rel="noreferrer"' : '';
+      return `<li${item.active ? ' class="active"' : ''}><a href="${item.href}"${current}${external}>${icon}${item.label}</a></li>`;
+    })
+    .join('');
+}
+
+function renderPaletteSwitch(palettes, t) {
+  if (!palettes || palettes.list.length < 2) return '';
+  const swatches = palettes.list
+    .map(
+      (palette) =>
+        `<button class="palette-swatch" type="button" data-palette="${palette.name}" title="${escapeXml(palette.label)}" aria-label="${escapeXml(palette.label)}" style="--swatch: ${palette.light.accent}; --swatch-paper: ${palette.light.paper}"></button>`
+    )
+    .join('');
+  return `<div class="palette-switch" role="group" aria-label="${t('ui.palette')}" data-default="${palettes.default}">${swatches}</div>`;
+}
+
+function renderLanguageSwitch(languages, t) {
+  if (!languages || languages.length < 2) return '';
+  const links = languages
+    .map(
+      (language) =>
+        `<a href="${language.href}" hreflang="${language.locale}" lang="${language.locale}"${language.current ? ' aria-current="true"' : ''}>${escapeXml(language.label)}</a>`
+    )
+    .join('');
+  return `<nav class="lang-switch" aria-label="${t('ui.language')}">${links}</nav>`;
+}
+
+const PAGE_SCRIPT = `  <script>
     (() => {
       const KEY = 'hozokura-theme';
       const btn = document.querySelector('.theme-toggle');
@@ -711,6 +2617,25 @@ function renderPage({ title, content, config, nav, toc, baseUrl, sidebarData })
         localStorage.setItem(KEY, next);
       });
 
+      // Named palettes
+      const PALETTE_KEY = 'hozokura-palette';
+      const paletteSwitch = document.querySelector('.palette-switch');
+      const applyPalette = (name) => {
+        document.documentElement.dataset.palette = name;
+        paletteSwitch?.querySelectorAll('.palette-swatch').forEach((swatch) => {
+          swatch.setAttribute('aria-pressed', String(swatch.dataset.palette === name));
+        });
+      };
+      if (paletteSwitch) {
+        applyPalette(localStorage.getItem(PALETTE_KEY) || paletteSwitch.dataset.default);
+        paletteSwitch.addEventListener('click', (e) => {
+          const swatch = e.target.closest('.palette-swatch');
+          if (!swatch) return;
+          applyPalette(swatch.dataset.palette);
+          localStorage.setItem(PALETTE_KEY, swatch.dataset.palette);
+        });
+      }
+
       // Drawer for mobile
       const menuBtn = document.querySelector('.mobile-menu-btn');
       const sidebar = document.querySelector('.sidebar');
@@ -728,6 +2653,19 @@ function renderPage({ title, content, config, nav, toc, baseUrl, sidebarData })
       });
       setDrawer(false);
 
+      // Code block copy buttons
+      document.querySelectorAll('.code-copy').forEach((copyBtn) => {
+        const label = copyBtn.textContent;
+        copyBtn.addEventListener('click', () => {
+          const code = copyBtn.closest('.code-block')?.querySelector('code');
+          if (!code) return;
+          navigator.clipboard.writeText(code.textContent).then(() => {
+            copyBtn.textContent = copyBtn.dataset.copied || label;
+            setTimeout(() => { copyBtn.textContent = label; }, 2000);
+          });
+        });
+      });
+
       // Show All logic
       document.querySelectorAll('.show-all-btn').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -740,19 +2678,122 @@ function renderPage({ title, content, config, nav, toc, baseUrl, sidebarData })
         });
       });
     })();
-  </script>
-</body>
-</html>`;
+  </script>`;
+
+function renderMetaTags({ title, config, pagePath, meta, locale = DEFAULT_LOCALE }) {
+  const profile = config.profile || {};
+  const description = meta.description || profile.bio || profile.tagline || '';
+  // A page's own image may be relative to the page (bundle files); the avatar is site-relative
+  const image = meta.image ? resolveMediaUrl(config, meta.image, pagePath) : resolveMediaUrl(config, profile.avatar);
+  // Titles may carry inline HTML, which social previews would show literally
+  const plainTitle = htmlToText(title);
+  const url = config.siteUrl ? absoluteUrl(config, pagePath) : '';
+  const type = meta.type || 'website';
+
+  const tags = [
+    ['name', 'description', description],
+    ['property', 'og:type', type],
+    ['property', 'og:title', plainTitle],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['property', 'og:image', image],
+    ['property', 'og:site_name', profile.name],
+    ['property', 'og:locale', locale.replace('-', '_')],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', plainTitle],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+    ['name', 'twitter:creator', profile.twitter]
+  ];
+  if (type === 'article') {
+    tags.push(
+      ['property', 'article:published_time', meta.publishedTime],
+      ['property', 'article:author', profile.name],
+      ...(meta.tags || []).map((tag) => ['property', 'article:tag', tag])
+    );
+  }
+
+  const metaHtml = tags
+    .filter(([, , value]) => value)
+    .map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeXml(value)}">`)
+    .join('\n  ');
+
+  const jsonLd = meta.jsonLd
+    ? `\n  <script type="application/ld+json">${JSON.stringify(meta.jsonLd).replace(/</g, '\\u003c')}</script>`
+    : '';
+  return `${metaHtml}${jsonLd}`;
+}
+
+function renderPostJsonLd({ config, post, locale }) {
+  const profile = config.profile || {};
+  const pagePath = `${post.prefix}posts/${post.slug}/`;
+  const url = config.siteUrl ? absoluteUrl(config, pagePath) : undefined;
+  const image = resolveMediaUrl(config, post.cover, pagePath);
+  const dateIso = Number.isNaN(post.date.getTime()) ? undefined : post.date.toISOString();
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: htmlToText(post.title),
+    description: post.summary,
+    inLanguage: locale,
+    datePublished: dateIso,
+    dateModified: dateIso,
+    url,
+    mainEntityOfPage: url,
+    image: image || undefined,
+    keywords: post.tags.map((tag) => tag.label).join(', ') || undefined,
+    articleSection: post.categories.map((cat) => cat.label),
+    author: {
+      '@type': 'Person',
+      name: profile.name,
+      image: resolveMediaUrl(config, profile.avatar) || undefined
+    }
+  };
+}
+
+function resolveMediaUrl(config, src, pagePath = '') {
+  if (!src || src === '/') return '';
+  if (/^(https?:)?\/\//i.test(src) || !config.siteUrl) return src;
+  const siteUrl = `${config.siteUrl}`.replace(/\/$/, '');
+  return src.startsWith('/') ? `${siteUrl}${src}` : absoluteUrl(config, `${pagePath}${src.replace(/^\.\//, '')}`);
+}
+
+// KaTeX styles and the Mermaid runtime are only linked from pages that use them.
+function renderMarkdownAssets({ baseUrl, math, mermaid }) {
+  const parts = [];
+  if (math) {
+    parts.push(`<link rel="stylesheet" href="${baseUrl}assets/katex/katex.min.css">`);
+  }
+  if (mermaid) {
+    // Deferred and module scripts run in document order, so `mermaid` is defined by the time the module runs
+    parts.push(`<script src="${baseUrl}assets/mermaid/mermaid.min.js" defer></script>
+  <script type="module">
+    const { mermaid } = window;
+    const render = async () => {
+      const dark = document.documentElement.dataset.theme === 'dark';
+      mermaid.initialize({ startOnLoad: false, theme: dark ? 'dark' : 'neutral' });
+      document.querySelectorAll('.mermaid').forEach((el) => {
+        el.removeAttribute('data-processed');
+        el.textContent = el.dataset.source;
+      });
+      await mermaid.run({ querySelector: '.mermaid' });
+    };
+    document.querySelectorAll('.mermaid').forEach((el) => { el.dataset.source = el.textContent; });
+    render();
+    new MutationObserver(render).observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+  </script>`);
+  }
+  return parts.join('\n  ');
 }
 
-function renderRightSidebar({ toc, sidebarData, baseUrl, config }) {
+function renderRightSidebar({ toc, sidebarData, baseUrl, config, t }) {
   const { posts = [], tags = [], categories = [] } = sidebarData || {};
   
   const renderSection = (title, items, renderer, id) => {
     if (!items || items.length === 0) return '';
     const listHtml = items.map(renderer).join('');
     const showAllBtn = items.length > 5 
-      ? `<button class="show-all-btn" data-target="${id}">展示全部</button>` 
+      ? `<button class="show-all-btn" data-target="${id}">${t('sidebar.showAll')}</button>` 
       : '';
     return `
       <div class="sidebar-section">
@@ -766,14 +2807,14 @@ function renderRightSidebar({ toc, sidebarData, baseUrl, config }) {
   };
 
   const categoriesHtml = renderSection(
-    '分类', 
+    t('taxonomy.categories'),
     categories, 
     (cat) => `<li><a href="${baseUrl}categories/${cat.slug}/">${cat.label} (${cat.posts.length})</a></li>`,
     'sidebar-categories'
   );
 
   const tagsHtml = renderSection(
-    '标签', 
+    t('taxonomy.tags'),
     tags, 
     (tag) => `<li><a href="${baseUrl}tags/${tag.slug}/">${tag.label} (${tag.posts.length})</a></li>`,
     'sidebar-tags'
@@ -781,13 +2822,19 @@ function renderRightSidebar({ toc, sidebarData, baseUrl, config }) {
 
   const tocHtml = toc && toc.length ? `
     <div class="sidebar-section toc-section">
-      <div class="section-title">跳转</div>
+      <div class="section-title">${t('sidebar.toc')}</div>
       <ul class="toc-list">
         ${toc.map(item => `<li class="level-${item.level}"><a href="#${item.id}">${item.text}</a></li>`).join('')}
       </ul>
     </div>
   ` : '';
 
+  const searchHtml = searchEnabled(config) ? `
+    <form class="sidebar-section search-box" action="${baseUrl}search/" method="get" role="search">
+      <input type="search" name="q" placeholder="${t('search.sidebar')}" aria-label="${t('search.sidebar')}">
+    </form>
+  ` : '';
+
   const copyrightHtml = config && config.copyright ? `
     <aside class="copyright-card">
       ${config.copyright}
@@ -797,6 +2844,7 @@ function renderRightSidebar({ toc, sidebarData, baseUrl, config }) {
   return `
     <div class="right-column">
       <aside class="right-sidebar-card">
+        ${searchHtml}
         ${categoriesHtml}
         ${tagsHtml}
         ${tocHtml}
@@ -809,17 +2857,475 @@ function renderRightSidebar({ toc, sidebarData, baseUrl, config }) {
 async function writePage({ html, outDir }) {
   await fs.mkdir(outDir, { recursive: true });
   const outPath = path.join(outDir, 'index.html');
-  await fs.writeFile(outPath, html, 'utf8');
+  await writeFileIfChanged(outPath, html);
+}
+
+function toPagePath(outDir) {
+  const rel = path.relative(DIST_DIR, outDir).split(path.sep).filter(Boolean).join('/');
+  return rel ? `${rel}/` : '';
+}
+
+async function writeSitemap({ config, sitemap }) {
+  if (!config.siteUrl) {
+    console.log('Skipping sitemap: Missing siteUrl');
+    return;
+  }
+
+  const urls = sitemap
+    .map(({ pagePath, lastmod }) => {
+      const lastmodXml = lastmod && !Number.isNaN(lastmod.getTime())
+        ? `\n    <lastmod>${lastmod.toISOString().slice(0, 10)}</lastmod>`
+        : '';
+      return `
+  <url>
+    <loc>${escapeXml(encodeURI(absoluteUrl(config, pagePath)))}</loc>${lastmodXml}
+  </url>`;
+    })
+    .join('');
+
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+  await writeFileIfChanged(path.join(DIST_DIR, 'sitemap.xml'), xml);
+}
+
+async function writeRobots({ config, languages }) {
+  const robots = config.robots || {};
+  if (robots.enabled === false) return;
+
+  const disallow = robots.disallow || languages.map((language) => `${language.baseUrl}random/`);
+  const lines = [`User-agent: ${robots.userAgent || '*'}`];
+  for (const rule of robots.allow || []) lines.push(`Allow: ${rule}`);
+  for (const rule of disallow) lines.push(`Disallow: ${rule}`);
+  if (!disallow.length && !(robots.allow || []).length) lines.push('Allow: /');
+  if (config.siteUrl) lines.push('', `Sitemap: ${encodeURI(absoluteUrl(config, 'sitemap.xml'))}`);
+  for (const line of robots.extra || []) lines.push(line);
+
+  await writeFileIfChanged(path.join(DIST_DIR, 'robots.txt'), `${lines.join('\n')}\n`);
+}
+
+// Validates every page written by writePage: internal links, #anchors, image sources and
+// taxonomy URLs must resolve inside dist/. External URLs are only parsed unless `linkCheck.external`
+// is on, so a plain build never waits on the network; `--offline` turns fetching off again.
+async function checkLinks({ config, options = {}, cache, posts, pages = [] }) {
+  const settings = config.linkCheck || {};
+  if (settings.enabled === false) return;
+  const offline = settings.external !== true || Boolean(options.offline);
+  const ignore = settings.ignore || [];
+  const baseUrl = normalizeBase(config.baseUrl);
+  const siteUrl = config.siteUrl ? absoluteUrl(config) : '';
+  // Check builds live in a temporary directory, so their pages are labelled as if in dist/
+  const outLabel = options.check ? 'dist' : path.relative(ROOT, DIST_DIR).split(path.sep).join('/');
+  const sources = new Map([
+    ...posts.map((post) => [`${post.prefix}posts/${post.slug}/`, post.filePath]),
+    ...pages.map((page) => [`${page.prefix}${page.path}`, page.filePath])
+  ]);
+  const idsByFile = new Map();
+  const external = new Map();
+  const problems = [];
+
+  const readIds = async (file) => {
+    if (!idsByFile.has(file)) {
+      const html = await readOptional(path.join(DIST_DIR, file));
+      const ids = new Set();
+      for (const match of html.matchAll(/\s(?:id|name)="([^"]*)"/g)) ids.add(decodeEntities(match[1]));
+      idsByFile.set(file, ids);
+    }
+    return idsByFile.get(file);
+  };
+  const resolveFile = async (rel) => {
+    const candidates = !rel || rel.endsWith('/') ? [`${rel}index.html`] : [rel, `${rel}/index.html`];
+    for (const candidate of candidates) {
+      const stats = await fs.stat(path.join(DIST_DIR, candidate)).catch(() => null);
+      if (stats?.isFile()) return candidate;
+    }
+    return null;
+  };
+
+  const pagePaths = Object.keys(cache.next.pages).sort();
+  for (const pagePath of pagePaths) {
+    const file = `${pagePath}index.html`;
+    const html = await readOptional(path.join(DIST_DIR, file));
+    const source = sources.get(pagePath);
+    const sourceText = source ? await readOptional(source) : '';
+    const pageUrl = new URL(`${baseUrl}${pagePath}`, 'http://hozokura.local');
+
+    for (const { tag, url, line } of extractLinks(html)) {
+      if (!url || ignore.some((prefix) => url.startsWith(prefix))) continue;
+      const report = (message) => {
+        const location = { page: `${outLabel}/${file}:${line}`, message };
+        const sourceLine = sourceText ? lineOfText(sourceText, url) : 0;
+        if (sourceLine) location.source = `${path.relative(ROOT, source)}:${sourceLine}`;
+        problems.push(location);
+      };
+
+      const internal = siteUrl && url.startsWith(siteUrl) ? `${baseUrl}${url.slice(siteUrl.length)}` : url;
+      if (/^(?:https?:)?\/\//i.test(internal)) {
+        let parsed;
+        try {
+          parsed = new URL(internal, 'https://hozokura.local');
+        } catch {
+          parsed = null;
+        }
+        if (!parsed?.hostname || !parsed.hostname.includes('.') && parsed.hostname !== 'localhost') {
+          report(`invalid URL: ${url}`);
+        } else if (!offline) {
+          if (!external.has(parsed.href)) external.set(parsed.href, []);
+          external.get(parsed.href).push(report);
+        }
+        continue;
+      }
+      if (/^[a-z][\w+.-]*:/i.test(internal)) continue;
+
+      const target = new URL(internal, pageUrl);
+      const pathname = safeDecode(target.pathname);
+      if (!pathname.startsWith(baseUrl)) {
+        report(`link outside baseUrl: ${url}`);
+        continue;
+      }
+      const targetFile = await resolveFile(pathname.slice(baseUrl.length));
+      if (!targetFile) {
+        report(`${tag === 'img' || tag === 'source' ? 'missing image' : 'broken link'}: ${url}`);
+        continue;
+      }
+      const anchor = safeDecode(target.hash.slice(1));
+      if (anchor && targetFile.endsWith('.html') && !(await readIds(targetFile)).has(anchor)) {
+        report(`missing anchor: ${url}`);
+      }
+    }
+  }
+
+  const timeout = Number(settings.timeout) || 10000;
+  await runWithConcurrency([...external.keys()], Number(settings.concurrency) || 8, async (url) => {
+    const error = await fetchLinkStatus(url, timeout);
+    if (!error) return;
+    // Shared links (profile, licence) would otherwise repeat on every page
+    const [report, ...others] = external.get(url);
+    report(`external link failed (${error}): ${url}${others.length ? ` (and ${others.length} more page(s))` : ''}`);
+  });
+
+  for (const problem of problems) {
+    console.warn(`  ${problem.page}${problem.source ? ` (${problem.source})` : ''} ${problem.message}`);
+  }
+  const mode = offline ? ', external URLs not fetched' : `, ${external.size} external URL(s) fetched`;
+  console.log(`Link check: ${pagePaths.length} page(s), ${problems.length} problem(s)${mode}`);
+  if (problems.length && (options.strict || options.check)) {
+    throw new Error(`Link check failed with ${problems.length} problem(s)`);
+  }
 }
 
-function buildNav({ baseUrl, posts }) {
-  const links = [{ label: '主页', href: baseUrl }];
-  links.push({ label: '文章', href: `${baseUrl}articles/` });
-  links.push({ label: '随机文章', href: `${baseUrl}random/` });
-  links.push({ label: '友链', href: `https://www.ericzhao3366.work/` });
+// Collects link-bearing attributes with their line numbers; inline script and style bodies are
+// blanked first so string literals such as the search page's result template are not mistaken for links.
+function extractLinks(html) {
+  const scannable = html.replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2>)/gi, (all, open, tag, body, close) => (
+    `${open}${body.replace(/[^\n]/g, ' ')}${close}`
+  ));
+  const links = [];
+  let line = 1;
+  let lastIndex = 0;
+  for (const match of scannable.matchAll(/<(a|link|img|source|script|iframe)\b[^>]*>/gi)) {
+    line += countNewlines(scannable, lastIndex, match.index);
+    lastIndex = match.index;
+    const tag = match[1].toLowerCase();
+    const attrs = parseHtmlAttributes(match[0]);
+    for (const name of LINK_ATTRIBUTES[tag]) {
+      if (typeof attrs[name] !== 'string') continue;
+      const values = name === 'srcset'
+        ? attrs[name].split(',').map((entry) => entry.trim().split(/\s+/)[0])
+        : [attrs[name]];
+      for (const value of values) links.push({ tag, url: decodeEntities(value.trim()), line });
+    }
+  }
   return links;
 }
 
+async function fetchLinkStatus(url, timeout) {
+  for (const method of ['HEAD', 'GET']) {
+    try {
+      const res = await fetch(url, { method, redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+      await res.body?.cancel();
+      // Some hosts refuse HEAD outright; retry those with GET before reporting
+      if (method === 'HEAD' && [403, 405, 501].includes(res.status)) continue;
+      return res.ok ? null : `HTTP ${res.status}`;
+    } catch (err) {
+      return err.name === 'TimeoutError' ? 'timed out' : err.cause?.code || err.message;
+    }
+  }
+  return null;
+}
+
+function countNewlines(text, from, to) {
+  let count = 0;
+  for (let i = from; i < to; i++) if (text.charCodeAt(i) === 10) count++;
+  return count;
+}
+
+function lineOfText(text, needle) {
+  let index = text.indexOf(needle);
+  if (index === -1) index = text.indexOf(safeDecode(needle));
+  return index === -1 ? 0 : countNewlines(text, 0, index) + 1;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function decodeEntities(value) {
+  return value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Theme templates are ES modules whose default export maps a context object to HTML.
+async function loadTheme(config) {
+  const name = config.theme?.name;
+  const theme = { name, templates: {} };
+  const sources = [];
+
+  if (name) {
+    const dir = path.join(THEMES_DIR, name);
+    const stats = await fs.stat(dir).catch(() => null);
+    if (!stats?.isDirectory()) {
+      throw new Error(`Theme "${name}" not found in ${THEMES_DIR}`);
+    }
+    theme.dir = dir;
+    theme.assetsDir = path.join(dir, 'assets');
+
+    for (const [key, file] of Object.entries(TEMPLATE_FILES)) {
+      const filePath = path.join(dir, file);
+      const source = await readOptional(filePath);
+      if (!source) continue;
+      const mod = await import(`${pathToFileURL(filePath).href}?v=${hashContent(source)}`);
+      if (typeof mod.default !== 'function') {
+        throw new Error(`Theme template ${path.relative(ROOT, filePath)} must export a default function`);
+      }
+      theme.templates[key] = mod.default;
+      sources.push(file, source);
+    }
+  }
+
+  // A theme's own palette.json takes precedence over theme/palette.json
+  const themePalette = theme.dir ? await readOptional(path.join(theme.dir, 'palette.json')) : '';
+  const paletteSource = themePalette || (await readOptional(path.join(THEME_DIR, 'palette.json')));
+  theme.palettes = normalizePalettes(paletteSource ? JSON.parse(paletteSource) : {});
+  checkPaletteContrast(theme.palettes);
+  // Swatches embed palette colours in every page, so any palette change invalidates the cache
+  sources.push(JSON.stringify(theme.palettes));
+
+  theme.signature = hashContent(sources.join('\0'));
+  return theme;
+}
+
+// palette.json is either a single flat palette (light values only) or
+// { "default": "<name>", "palettes": { "<name>": { "label", "light": {...}, "dark": {...} } } }.
+function normalizePalettes(raw) {
+  const entries = raw.palettes ? Object.entries(raw.palettes) : [['default', { light: raw }]];
+  const list = entries.map(([name, palette]) => ({
+    name,
+    label: palette.label || name,
+    light: { ...DEFAULT_PALETTE.light, ...(palette.light || {}) },
+    dark: { ...DEFAULT_PALETTE.dark, ...(palette.dark || {}) }
+  }));
+  if (!list.length) list.push({ name: 'default', label: 'default', ...DEFAULT_PALETTE });
+  const defaultName = list.some((p) => p.name === raw.default) ? raw.default : list[0].name;
+  return { list, default: defaultName, minContrast: Number(raw.minContrast) || 4.5 };
+}
+
+// Code line highlights are a tint of the accent unless the palette sets `codeHighlight` itself.
+function renderPaletteCss(palettes) {
+  const block = (selector, colors, alpha) => {
+    const rgb = parseHexColor(colors.accent);
+    const derived = {
+      codeHighlight: rgb ? `rgba(${rgb.join(', ')}, ${alpha})` : `color-mix(in srgb, ${colors.accent} ${alpha * 100}%, transparent)`
+    };
+    const vars = Object.entries({ ...derived, ...colors })
+      .map(([key, value]) => `  --${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}: ${value};`)
+      .join('\n');
+    return `${selector} {\n${vars}\n}`;
+  };
+
+  const rules = [];
+  const fallback = palettes.list.find((p) => p.name === palettes.default);
+  rules.push(block(':root', fallback.light, 0.08), block('[data-theme="dark"]', fallback.dark, 0.12));
+  for (const palette of palettes.list) {
+    if (palette.name === palettes.default) continue;
+    const selector = `:root[data-palette="${palette.name}"]`;
+    rules.push(block(selector, palette.light, 0.08), block(`${selector}[data-theme="dark"]`, palette.dark, 0.12));
+  }
+  return `/* Generated from palette.json */\n${rules.join('\n\n')}\n`;
+}
+
+function checkPaletteContrast(palettes) {
+  const pairs = [['ink', 'paper'], ['accent', 'paper']];
+  for (const palette of palettes.list) {
+    for (const mode of ['light', 'dark']) {
+      for (const [fg, bg] of pairs) {
+        const ratio = contrastRatio(palette[mode][fg], palette[mode][bg]);
+        if (ratio !== null && ratio < palettes.minContrast) {
+          console.warn(
+            `Palette "${palette.name}" (${mode}): ${fg}/${bg} contrast ${ratio.toFixed(2)}:1 is below WCAG ${palettes.minContrast}:1`
+          );
+        }
+      }
+    }
+  }
+}
+
+// `#rgb` or `#rrggbb` as [r, g, b] in 0-255; null for anything else.
+function parseHexColor(value) {
+  const match = `${value || ''}`.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+  const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+}
+
+function contrastRatio(a, b) {
+  const luminance = (hex) => {
+    const rgb = parseHexColor(hex);
+    if (!rgb) return null;
+    const [r, g, b] = rgb.map((c) => c / 255).map((c) => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+  const la = luminance(a);
+  const lb = luminance(b);
+  if (la === null || lb === null) return null;
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+function renderTemplate(theme, name, ctx, fallback) {
+  const template = theme?.templates?.[name];
+  return template ? template(ctx) : fallback(ctx);
+}
+
+// Markdown extensions from the `plugins` / `containers` keys of site.config.json and from hozokura.config.js.
+async function loadExtensions(config) {
+  const jsConfigPath = path.join(ROOT, 'hozokura.config.js');
+  const jsSource = await readOptional(jsConfigPath);
+  let jsConfig = {};
+  if (jsSource) {
+    const mod = await import(`${pathToFileURL(jsConfigPath).href}?v=${hashContent(jsSource)}`);
+    jsConfig = mod.default || mod;
+  }
+
+  const entries = [...(config.plugins || []), ...(jsConfig.plugins || [])];
+  const plugins = [];
+  const sources = [jsSource];
+  for (const entry of entries) {
+    const [spec, ...params] = Array.isArray(entry) ? entry : [entry];
+    if (typeof spec === 'function') {
+      plugins.push([spec, ...params]);
+      continue;
+    }
+    const isLocal = spec.startsWith('.') || path.isAbsolute(spec);
+    const target = isLocal ? pathToFileURL(path.resolve(ROOT, spec)).href : spec;
+    if (isLocal) sources.push(await fs.readFile(path.resolve(ROOT, spec), 'utf8'));
+    const mod = await import(target);
+    const plugin = typeof mod.default === 'function' ? mod.default : mod;
+    if (typeof plugin !== 'function') {
+      throw new Error(`Markdown plugin "${spec}" does not export a function`);
+    }
+    plugins.push([plugin, ...params]);
+  }
+
+  return {
+    plugins,
+    containers: { ...(config.containers || {}), ...(jsConfig.containers || {}) },
+    signature: hashContent(sources.join('\0'))
+  };
+}
+
+async function loadLocales() {
+  const strings = {};
+  const sources = [];
+  let files = [];
+  try {
+    files = await fs.readdir(LOCALES_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+    const source = await fs.readFile(path.join(LOCALES_DIR, file), 'utf8');
+    strings[file.replace(/\.json$/, '')] = JSON.parse(source);
+    sources.push(file, source);
+  }
+  return { strings, signature: hashContent(sources.join('\0')) };
+}
+
+// The default language comes from `locale` and stays at the site root; every entry of
+// `languages` (e.g. { "en": { "label": "English" } }) gets its own tree under `<code>/`.
+function resolveLanguages(config, locales) {
+  const base = normalizeBase(config.baseUrl || '/');
+  const defaultLocale = config.locale || DEFAULT_LOCALE;
+  const entries = [
+    [defaultLocale, { locale: defaultLocale }],
+    ...Object.entries(config.languages || {}).filter(([code]) => code !== defaultLocale)
+  ];
+
+  const languages = entries.map(([code, settings], i) => {
+    const locale = settings.locale || code;
+    if (!locales[locale]) {
+      console.warn(`No locale file locales/${locale}.json; falling back to ${DEFAULT_LOCALE} strings`);
+    }
+    const strings = { ...locales[DEFAULT_LOCALE], ...locales[locale] };
+    const prefix = i === 0 ? '' : `${code}/`;
+    return {
+      code,
+      locale,
+      prefix,
+      label: settings.label || strings['language.name'] || code,
+      baseUrl: `${base}${prefix}`,
+      profile: settings.profile,
+      t: (key, vars = {}) => `${strings[key] ?? key}`.replace(/\{(\w+)\}/g, (match, name) => `${vars[name] ?? match}`)
+    };
+  });
+  for (const language of languages) language.languages = languages;
+  return languages;
+}
+
+// Pages that exist in every language (home, lists, search) link to their counterparts.
+function languageAlternates(i18n, pagePath) {
+  return i18n.languages.map((language) => ({ code: language.code, pagePath: `${language.prefix}${pagePath}` }));
+}
+
+// `config.nav` lists built-in pages by name (see BUILTIN_NAV) and custom items with `label`, `href`,
+// optional `icon` and `children` for dropdown groups. Paths starting with `/` stay inside the language tree.
+function buildNav({ config, i18n }) {
+  const { baseUrl, t, code } = i18n;
+  const toItem = (entry) => {
+    const item = typeof entry === 'string' ? { builtin: entry } : entry;
+    const label = typeof item.label === 'object' ? item.label[code] ?? Object.values(item.label)[0] : item.label;
+    if (item.builtin) {
+      const builtin = BUILTIN_NAV[item.builtin];
+      if (!builtin) {
+        throw new Error(`Unknown built-in nav item "${item.builtin}"; use one of ${Object.keys(BUILTIN_NAV).join(', ')}`);
+      }
+      return { label: escapeXml(label || t(builtin.labelKey)), href: `${baseUrl}${builtin.path}`, icon: item.icon || '', children: [] };
+    }
+    const href = /^\/(?!\/)/.test(item.href || '') ? `${baseUrl}${item.href.slice(1)}` : item.href || '';
+    return {
+      label: escapeXml(label || href),
+      href,
+      icon: item.icon || '',
+      external: /^(https?:)?\/\//i.test(href),
+      children: (item.children || []).map(toItem)
+    };
+  };
+  return (config.nav || DEFAULT_NAV).map(toItem);
+}
+
+// Marks the item for the current page (and the groups containing it); the home link only matches exactly.
+function markActiveNav(items, currentPath, homePath) {
+  return items.map((item) => {
+    const children = markActiveNav(item.children || [], currentPath, homePath);
+    const current = Boolean(item.href) && item.href === currentPath;
+    const inside = Boolean(item.href) && !item.external && item.href !== homePath && currentPath.startsWith(item.href);
+    return { ...item, children, current, active: current || inside || children.some((child) => child.active) };
+  });
+}
+
 function renderPills({ baseUrl, post }) {
   const categoryPills = (post.categories || [])
     .map((cat) => `<a class="pill" href="${baseUrl}categories/${cat.slug}/">${cat.label}</a>`)
@@ -847,15 +3353,30 @@ function buildTaxonomies(posts) {
   return { tags, categories };
 }
 
-async function renderTaxonomyIndex({ config, title, baseUrl, type, map, sidebarData }) {
-  const nav = buildNav({ baseUrl });
+async function renderTaxonomyIndex({ config, theme, i18n, title, baseUrl, type, map, sidebarData }) {
+  const { t } = i18n;
+  const nav = buildNav({ config, i18n });
   const items = Array.from(map.values()).sort((a, b) => b.posts.length - a.posts.length || a.label.localeCompare(b.label));
-  const label = type === 'tags' ? '标签' : '分类';
+  const label = t(`taxonomy.${type}`);
   return renderPage({
     title,
-    content: `
+    content: renderTemplate(theme, 'taxonomy', { config, baseUrl, t, title, label, type, items }, renderTaxonomyGrid),
+    config,
+    theme,
+    i18n,
+    baseUrl,
+    nav,
+    toc: [],
+    sidebarData,
+    pagePath: `${i18n.prefix}${type}/`,
+    alternates: languageAlternates(i18n, `${type}/`)
+  });
+}
+
+function renderTaxonomyGrid({ baseUrl, t, title, label, type, items }) {
+  return `
       <section class="article-card">
-        <div class="eyebrow">${label}目录</div>
+        <div class="eyebrow">${t('taxonomy.index', { label })}</div>
         <h1>${title}</h1>
         <div class="tax-grid">
           ${items
@@ -863,99 +3384,92 @@ async function renderTaxonomyIndex({ config, title, baseUrl, type, map, sidebarD
               (item) => `
               <a class="tax-card" href="${baseUrl}${type}/${item.slug}/">
                 <div class="tax-name">${item.label}</div>
-                <div class="tax-count">${item.posts.length} 篇</div>
+                <div class="tax-count">${t('taxonomy.count', { count: item.posts.length })}</div>
               </a>
             `
             )
             .join('')}
         </div>
       </section>
-    `,
-    config,
-    baseUrl,
-    nav,
-    toc: [],
-    sidebarData
-  });
+    `;
 }
 
-async function renderTaxonomyPage({ config, title, baseUrl, type, entry, sidebarData }) {
-  const nav = buildNav({ baseUrl });
-  const label = type === 'tags' ? '标签' : '分类';
-  const now = new Date(); // 获取当前构建时间
-
-  const postsHtml = entry.posts
-    .map((post) => {
-      const isFuture = post.date > now;
-      const style = isFuture ? 'style="display:none"' : '';
-      const classes = `post-item${isFuture ? ' future-post' : ''}`;
-      const timestamp = post.date ? post.date.getTime() : 0;
-
-      return `
-              <article class="${classes}" ${style} data-timestamp="${timestamp}">
-                <div class="post-meta">${post.dateText}</div>
-                <div class="title-row">
-                  <h2><a href="${baseUrl}posts/${post.slug}/">${post.title}</a></h2>
-                  <a class="read-more" href="${baseUrl}posts/${post.slug}/">阅读</a>
-                </div>
-                <p>${post.summary}</p>
-              </article>
-            `;
-    })
-    .join('');
-
+async function renderTaxonomyPage({ config, theme, i18n, title, baseUrl, type, entry, sidebarData }) {
+  const { t } = i18n;
+  const nav = buildNav({ config, i18n });
+  const label = t(`taxonomy.${type}`);
   return renderPage({
     title,
-    content: `
-      <section class="article-card">
-        <div class="eyebrow">${label}</div>
-        <h1>${entry.label}</h1>
-        <div class="post-list">
-          ${postsHtml}
-        </div>
-        <script>
-          (function(){
-            try {
-              var now = Date.now();
-              var posts = document.querySelectorAll('.future-post');
-              posts.forEach(function(el){
-                var ts = parseInt(el.getAttribute('data-timestamp') || '0', 10);
-                if(ts <= now){
-                  el.style.display = 'block';
-                }
-              });
-            } catch(e){}
-          })();
-        </script>
-      </section>
-    `,
+    content: renderTemplate(
+      theme,
+      'list',
+      { config, baseUrl, t, posts: entry.posts, type, entry, eyebrow: label, heading: entry.label },
+      renderPostList
+    ),
     config,
+    theme,
+    i18n,
     baseUrl,
     nav,
     toc: [],
-    sidebarData
+    sidebarData,
+    feedDir: `${type}/${entry.slug}/`,
+    pagePath: `${i18n.prefix}${type}/${entry.slug}/`
   });
 }
 
-function createMarkdown() {
+function createMarkdown(config = {}, extensions = {}) {
   const md = new MarkdownIt({ html: true, linkify: true, typographer: true });
-  
+  const lineNumbers = config.markdown?.lineNumbers !== false;
+
   // Custom containers
-  ['success', 'fail', 'warn'].forEach(type => {
+  const containers = { ...BUILTIN_CONTAINERS, ...(extensions.containers || {}) };
+  for (const [type, definition] of Object.entries(containers)) {
     md.use(container, type, {
-      render: function (tokens, idx) {
-        const m = tokens[idx].info.trim().match(new RegExp(`^${type}\\s*(.*)$`));
-        if (tokens[idx].nesting === 1) {
-          // opening tag
-          const title = m[1] ? m[1] : (type === 'success' ? '成功' : type === 'fail' ? '错误' : '注意');
-          return `<div class="admonition ${type}"><span class="admonition-title">${md.utils.escapeHtml(title)}</span>\n`;
-        } else {
-          // closing tag
-          return '</div>\n';
-        }
+      render: (tokens, idx, options, env) => {
+        const token = tokens[idx];
+        const info = token.info.trim().slice(type.length).trim();
+        const title = info || (definition.titleKey && env.t ? env.t(definition.titleKey) : definition.title) || type;
+        const render = definition.render || renderAdmonition;
+        return render({ md, env, tokens, idx, type, title, nesting: token.nesting, className: definition.className });
       }
     });
-  });
+  }
+
+  md.use(hidePlugin, { tip: config.theme?.hideTip });
+  for (const [plugin, ...params] of extensions.plugins || []) {
+    md.use(plugin, ...params);
+  }
+
+  md.use(mathPlugin);
+
+  md.renderer.rules.fence = (tokens, idx, options, env) => {
+    const { lang, highlightLines, title } = parseFenceInfo(tokens[idx].info);
+    if (lang === 'mermaid' && env?.mermaid) {
+      env.usedMermaid = true;
+      return `<pre class="mermaid">${md.utils.escapeHtml(tokens[idx].content)}</pre>\n`;
+    }
+    const code = tokens[idx].content.replace(/\n$/, '');
+    const highlighted = lang && hljs.getLanguage(lang)
+      ? hljs.highlight(code, { language: lang, ignoreIllegals: true }).value
+      : md.utils.escapeHtml(code);
+
+    const linesHtml = splitHighlightedLines(highlighted)
+      .map((line, i) => {
+        const classes = `code-line${highlightLines.has(i + 1) ? ' highlighted' : ''}`;
+        return `<span class="${classes}" data-line="${i + 1}">${line || ' '}</span>`;
+      })
+      .join('\n');
+    const langClass = lang ? ` class="language-${md.utils.escapeHtml(lang)}"` : '';
+    const titleHtml = title ? `<span class="code-title">${md.utils.escapeHtml(title)}</span>` : '';
+    const langLabel = lang ? `<span class="code-lang">${md.utils.escapeHtml(lang)}</span>` : '';
+    const [copy, copied] = env?.t ? [env.t('ui.copy'), env.t('ui.copied')] : ['复制', '已复制'];
+
+    return `<figure class="code-block${lineNumbers ? ' line-numbers' : ''}">
+<div class="code-toolbar">${titleHtml}${langLabel}<button class="code-copy" type="button" data-copied="${copied}">${copy}</button></div>
+<pre class="hljs"><code${langClass}>${linesHtml}</code></pre>
+</figure>\n`;
+  };
 
   md.renderer.rules.heading_open = (tokens, idx, options, env, self) => {
     const token = tokens[idx];
@@ -974,6 +3488,259 @@ function createMarkdown() {
   return md;
 }
 
+// Default titles are looked up in the locale strings of the page being rendered.
+const BUILTIN_CONTAINERS = {
+  success: { title: '成功', titleKey: 'container.success' },
+  fail: { title: '错误', titleKey: 'container.fail' },
+  warn: { title: '注意', titleKey: 'container.warn' },
+  info: { title: '信息', titleKey: 'container.info' },
+  tip: { title: '提示', titleKey: 'container.tip' },
+  details: { title: '详情', titleKey: 'container.details', render: renderDetails },
+  tabs: { title: '', render: renderTabs },
+  tab: { title: '标签页', titleKey: 'container.tab', render: renderTab }
+};
+
+function renderAdmonition({ md, type, title, nesting, className }) {
+  if (nesting === 1) {
+    return `<div class="admonition ${className || type}"><span class="admonition-title">${md.utils.escapeHtml(title)}</span>\n`;
+  }
+  return '</div>\n';
+}
+
+function renderDetails({ md, title, nesting }) {
+  if (nesting === 1) {
+    return `<details class="admonition details"><summary class="admonition-title">${md.utils.escapeHtml(title)}</summary>\n`;
+  }
+  return '</details>\n';
+}
+
+// Tabs are pure CSS: one radio input + label per child `tab` container, followed by the panels.
+function renderTabs({ md, env, tokens, idx, nesting }) {
+  if (nesting !== 1) return '</div>\n';
+  env.tabsCount = (env.tabsCount || 0) + 1;
+  const group = `tabs-${env.tabsCount}`;
+  const titles = [];
+  let depth = 0;
+  for (let i = idx + 1; i < tokens.length; i++) {
+    const { type, info } = tokens[i];
+    if (type === 'container_tabs_open') depth++;
+    if (type === 'container_tabs_close' && depth-- === 0) break;
+    if (type === 'container_tab_open' && depth === 0) {
+      titles.push(info.trim().slice('tab'.length).trim() || `${titles.length + 1}`);
+    }
+  }
+  const controls = titles
+    .map((title, i) => `<input type="radio" name="${group}" id="${group}-${i}"${i === 0 ? ' checked' : ''}><label for="${group}-${i}">${md.utils.escapeHtml(title)}</label>`)
+    .join('');
+  // style.css shows the panels of the first six tabs; rules for longer groups are emitted once per page
+  const covered = env.tabPanelRules || 6;
+  let style = '';
+  if (titles.length > covered) {
+    const selectors = titles
+      .slice(covered)
+      .map((_, i) => `.tabs > input:nth-of-type(${covered + i + 1}):checked ~ .tab-panel:nth-of-type(${covered + i + 1})`);
+    style = `<style>${selectors.join(', ')} { display: block; }</style>`;
+    env.tabPanelRules = titles.length;
+  }
+  return `${style}<div class="tabs">${controls}\n`;
+}
+
+function renderTab({ nesting }) {
+  return nesting === 1 ? '<div class="tab-panel">\n' : '</div>\n';
+}
+
+// Four or more spaces of indentation make an indented code block, as in markdown-it's own rules.
+function isIndentedCode(state, line) {
+  return state.sCount[line] - state.blkIndent >= 4;
+}
+
+// `::: hide[text] :::` hides inline text behind the configured tip. On a line of its own and
+// followed by a closing `:::`, the bracket becomes the tip and the enclosed blocks are hidden.
+function hidePlugin(md, { tip }) {
+  const defaultTip = (env) => tip || (env?.t ? env.t('hide.tip') : '点击查看');
+  const OPEN = /^:::\s*hide\[(.*?)\](?:\{.*?\})?\s*:::\s*$/;
+
+  md.block.ruler.before('fence', 'hide_block', (state, startLine, endLine, silent) => {
+    if (isIndentedCode(state, startLine)) return false;
+    const lineText = (line) => state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]).trim();
+    const open = lineText(startLine).match(OPEN);
+    if (!open) return false;
+
+    let depth = 0;
+    let closeLine = -1;
+    for (let line = startLine + 1; line < endLine; line++) {
+      const text = lineText(line);
+      if (OPEN.test(text) || /^:{3,}\s*\S/.test(text)) depth++;
+      else if (/^:{3,}$/.test(text)) {
+        if (depth === 0) {
+          closeLine = line;
+          break;
+        }
+        depth--;
+      }
+    }
+    if (closeLine === -1) return false;
+    if (silent) return true;
+
+    const token = state.push('hide_block_open', 'div', 1);
+    token.meta = { tip: open[1] || defaultTip(state.env) };
+    token.map = [startLine, closeLine + 1];
+
+    const oldParent = state.parentType;
+    const oldLineMax = state.lineMax;
+    state.parentType = 'hide';
+    state.lineMax = closeLine;
+    state.md.block.tokenize(state, startLine + 1, closeLine);
+    state.parentType = oldParent;
+    state.lineMax = oldLineMax;
+
+    state.push('hide_block_close', 'div', -1);
+    state.line = closeLine + 1;
+    return true;
+  }, { alt: ['paragraph'] });
+
+  md.inline.ruler.before('emphasis', 'hide_inline', (state, silent) => {
+    const match = state.src.slice(state.pos).match(/^:::\s*hide\[/);
+    if (!match) return false;
+    const labelStart = state.pos + match[0].length;
+    const labelEnd = state.md.helpers.parseLinkLabel(state, labelStart - 1, true);
+    if (labelEnd < 0) return false;
+    const rest = state.src.slice(labelEnd + 1).match(/^(?:\{.*?\})?\s*:::/);
+    if (!rest) return false;
+
+    if (!silent) {
+      const open = state.push('hide_inline_open', 'span', 1);
+      open.meta = { tip: defaultTip(state.env) };
+      const oldMax = state.posMax;
+      state.pos = labelStart;
+      state.posMax = labelEnd;
+      state.md.inline.tokenize(state);
+      state.posMax = oldMax;
+      state.push('hide_inline_close', 'span', -1);
+    }
+    state.pos = labelEnd + 1 + rest[0].length;
+    return true;
+  });
+
+  const openTag = (tag, extra = '') => (tokens, idx) =>
+    `<${tag} class="hide-text${extra}" data-tip="${md.utils.escapeHtml(tokens[idx].meta.tip)}">`;
+  md.renderer.rules.hide_block_open = openTag('div', ' hide-block');
+  md.renderer.rules.hide_block_close = () => '</div>\n';
+  md.renderer.rules.hide_inline_open = openTag('span');
+  md.renderer.rules.hide_inline_close = () => '</span>';
+}
+
+// `$...$` and `$$...$$` rendered to static HTML with KaTeX; only active when env.math is set.
+function mathPlugin(md) {
+  const renderMath = (tex, displayMode, env) => {
+    env.usedMath = true;
+    try {
+      return katex.renderToString(tex, { displayMode, throwOnError: false, output: 'html' });
+    } catch (err) {
+      return `<code class="math-error" title="${md.utils.escapeHtml(err.message)}">${md.utils.escapeHtml(tex)}</code>`;
+    }
+  };
+
+  md.inline.ruler.after('escape', 'math_inline', (state, silent) => {
+    if (!state.env?.math || state.src[state.pos] !== '$') return false;
+    const start = state.pos + 1;
+    if (state.src[start] === '$' || /\s/.test(state.src[start] || ' ')) return false;
+
+    let end = start;
+    while ((end = state.src.indexOf('$', end)) !== -1) {
+      if (state.src[end - 1] !== '\\' && !/\s/.test(state.src[end - 1])) break;
+      end++;
+    }
+    if (end === -1 || end === start || /\d/.test(state.src[end + 1] || '')) return false;
+
+    if (!silent) {
+      const token = state.push('math_inline', 'math', 0);
+      token.content = state.src.slice(start, end);
+    }
+    state.pos = end + 1;
+    return true;
+  });
+
+  md.block.ruler.before('fence', 'math_block', (state, startLine, endLine, silent) => {
+    if (!state.env?.math) return false;
+    if (isIndentedCode(state, startLine)) return false;
+    const lineStart = state.bMarks[startLine] + state.tShift[startLine];
+    const firstLine = state.src.slice(lineStart, state.eMarks[startLine]).trim();
+    if (!firstLine.startsWith('$$')) return false;
+
+    let content;
+    let line = startLine;
+    if (firstLine.length > 4 && firstLine.endsWith('$$')) {
+      content = firstLine.slice(2, -2);
+    } else {
+      const lines = [firstLine.slice(2)];
+      let closed = false;
+      while (++line < endLine) {
+        const text = state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]).trim();
+        if (text.endsWith('$$')) {
+          lines.push(text.slice(0, -2));
+          closed = true;
+          break;
+        }
+        lines.push(text);
+      }
+      if (!closed) return false;
+      content = lines.join('\n');
+    }
+    if (silent) return true;
+
+    const token = state.push('math_block', 'math', 0);
+    token.block = true;
+    token.content = content.trim();
+    token.map = [startLine, line + 1];
+    state.line = line + 1;
+    return true;
+  });
+
+  md.renderer.rules.math_inline = (tokens, idx, options, env) => renderMath(tokens[idx].content, false, env);
+  md.renderer.rules.math_block = (tokens, idx, options, env) =>
+    `<div class="math-block">${renderMath(tokens[idx].content, true, env)}</div>\n`;
+}
+
+// Parses fence info such as `js {3-5,8} title="app.js"`.
+function parseFenceInfo(info) {
+  const raw = `${info || ''}`.trim();
+  const lang = raw.match(/^[^\s{]+/)?.[0] || '';
+  const title = raw.match(/title=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+  const ranges = raw.match(/\{([\d,\s-]+)\}/)?.[1] || '';
+  const highlightLines = new Set();
+  for (const part of ranges.split(',')) {
+    const [start, end] = part.trim().split('-').map(Number);
+    if (!start) continue;
+    for (let n = start; n <= (end || start); n++) highlightLines.add(n);
+  }
+  return { lang: lang.toLowerCase(), highlightLines, title: title ? title[1] ?? title[2] ?? title[3] : '' };
+}
+
+// Splits highlighted HTML into lines, closing and reopening spans that cross line breaks.
+function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  let current = '';
+  const tagPattern = /<\/?span[^>]*>|\n|[^<\n]+|</g;
+  for (const [part] of html.matchAll(tagPattern)) {
+    if (part === '\n') {
+      lines.push(current + '</span>'.repeat(open.length));
+      current = open.join('');
+    } else if (part.startsWith('</span')) {
+      open.pop();
+      current += part;
+    } else if (part.startsWith('<span')) {
+      open.push(part);
+      current += part;
+    } else {
+      current += part;
+    }
+  }
+  lines.push(current);
+  return lines;
+}
+
 function extractInlineText(token) {
   if (!token.children) return '';
   return token.children
@@ -996,7 +3763,7 @@ function makeSlug(text, env) {
   return count === 0 ? base : `${base}-${count}`;
 }
 
-function slugifySegment(text) {
+export function slugifySegment(text) {
   return `${text}`
     .toLowerCase()
     .trim()
@@ -1005,6 +3772,15 @@ function slugifySegment(text) {
     .replace(/-+/g, '-');
 }
 
+function escapeXml(value) {
+  return `${value ?? ''}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 function normalizeBase(input) {
   let base = input || '/';
   if (!base.startsWith('/')) base = `/${base}`;
@@ -1019,7 +3795,7 @@ const isDirectRun = (() => {
 })();
 
 if (isDirectRun) {
-  runBuild().catch((err) => {
+  runBuild(parseBuildArgs()).catch((err) => {
     console.error(err);
     process.exit(1);
   });
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/*
+ Copyright (c) 2026 EricZhao
+ Licensed under GNU GPL v3: https://www.gnu.org/licenses/gpl-3.0.html
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import { runBuild, parseBuildArgs, readArgValue, resolveOutDir, slugifySegment } from './build.js';
+
+const ROOT = process.cwd();
+const POSTS_DIR = path.join(ROOT, 'content', 'posts');
+const CACHE_DIR = path.join(ROOT, '.cache', 'hozokura');
+const VALUE_FLAGS = ['--out', '--base-url', '--port', '--slug', '--tags'];
+const BUILD_FLAGS = ['--out', '--base-url', '--drafts', '--future', '--strict', '--offline', '--dry-run'];
+
+const USAGE = `Usage: hozokura <command> [options]
+
+Commands:
+  new post "<title>"   Create content/posts/<slug>.md with front matter
+      --slug <slug>      Override the slug derived from the title
+      --tags <a,b>       Comma-separated tags
+      --bundle           Create content/posts/<slug>/index.md instead
+      --draft            Mark the post as a draft
+  build                Build the site into dist/
+      --out <dir>        Output directory (default: dist)
+      --base-url <path>  Override baseUrl from site.config.json
+      --drafts           Include drafts
+      --future           Include posts dated in the future
+      --strict           Exit non-zero when the link check finds problems
+      --offline          Only syntax-check external URLs, even with linkCheck.external
+      --dry-run          List missing short links without creating or writing them
+  serve                Build, watch and serve with live reload
+      --port <port>      Port to listen on (default: 4173 or $PORT)
+      (also accepts --out, --base-url, --drafts and --future)
+  check                Validate front matter, images and links without touching dist/
+      (also accepts --base-url, --drafts, --future and --offline)
+  clean                Remove the output directory and the build cache
+      --out <dir>        Output directory to remove (default: dist)
+  help                 Show this message`;
+
+class UsageError extends Error {}
+
+const COMMANDS = {
+  new: {
+    flags: ['--slug', '--tags', '--bundle', '--draft'],
+    run: createPost
+  },
+  build: {
+    flags: BUILD_FLAGS,
+    run: async (argv) => {
+      const { pages, outDir } = await runBuild(parseBuildArgs(argv));
+      console.log(`Wrote ${pages} page(s) to ${path.relative(ROOT, outDir) || '.'}`);
+    }
+  },
+  serve: {
+    flags: ['--port', '--out', '--base-url', '--drafts', '--future'],
+    run: async (argv) => {
+      const port = readArgValue(argv, '--port');
+      if (port !== undefined && !/^\d+$/.test(port)) throw new UsageError(`Invalid port: ${port}`);
+      const { startPreview } = await import('./preview.js');
+      await startPreview({ port: port ? Number(port) : undefined, buildOptions: parseBuildArgs(argv) });
+    }
+  },
+  check: {
+    flags: ['--base-url', '--drafts', '--future', '--offline'],
+    run: (argv) => runBuild({ ...parseBuildArgs(argv), check: true })
+  },
+  clean: {
+    flags: ['--out'],
+    run: async (argv) => {
+      for (const dir of [await resolveOutDir(readArgValue(argv, '--out')), CACHE_DIR]) {
+        const exists = await fs.stat(dir).catch(() => null);
+        await fs.rm(dir, { recursive: true, force: true });
+        console.log(exists ? `Removed ${path.relative(ROOT, dir)}` : `Nothing to remove at ${path.relative(ROOT, dir)}`);
+      }
+    }
+  }
+};
+
+async function createPost(argv) {
+  const [kind, title] = argv;
+  if (kind !== 'post' || !title || title.startsWith('--')) {
+    throw new UsageError('Usage: hozokura new post "<title>" [--slug <slug>] [--tags <a,b>] [--bundle] [--draft]');
+  }
+  const slug = slugifySegment(readArgValue(argv, '--slug') || title);
+  if (!slug) throw new UsageError(`Cannot derive a slug from "${title}"; pass one with --slug`);
+
+  const tags = (readArgValue(argv, '--tags') || '').split(',').map((tag) => tag.trim()).filter(Boolean);
+  const now = new Date();
+  const date = [now.getFullYear(), now.getMonth() + 1, now.getDate()].map((part) => `${part}`.padStart(2, '0')).join('-');
+  const lines = [
+    '---',
+    `title: ${JSON.stringify(title)}`,
+    `date: ${date}`,
+    `tags: [${tags.map((tag) => JSON.stringify(tag)).join(', ')}]`,
+    ...(argv.includes('--draft') ? ['draft: true'] : []),
+    '---',
+    '',
+    ''
+  ];
+
+  const filePath = argv.includes('--bundle')
+    ? path.join(POSTS_DIR, slug, 'index.md')
+    : path.join(POSTS_DIR, `${slug}.md`);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await fs.writeFile(filePath, lines.join('\n'), { encoding: 'utf8', flag: 'wx' });
+  } catch (err) {
+    if (err.code === 'EEXIST') throw new Error(`${path.relative(ROOT, filePath)} already exists`);
+    throw err;
+  }
+  console.log(`Created ${path.relative(ROOT, filePath)}`);
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    console.log(USAGE);
+    return 0;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command "${name}"`);
+
+  const unknown = rest.filter((arg) => arg.startsWith('--') && !command.flags.includes(arg.split('=')[0]));
+  if (unknown.length) throw new UsageError(`Unknown option(s) for ${name}: ${unknown.join(', ')}`);
+  for (const flag of VALUE_FLAGS) {
+    try {
+      readArgValue(rest, flag);
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+  }
+
+  await command.run(rest);
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+    // Build errors already describe the failing file; `node build.js` prints full stacks
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+);
@@ -7,11 +7,12 @@ import http from 'http';
 import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
-import { runBuild } from './build.js';
+import { fileURLToPath } from 'url';
+import { runBuild, parseBuildArgs, resolveOutDir, readArgValue } from './build.js';
 
 const ROOT = process.cwd();
-const DIST = path.join(ROOT, 'dist');
-const PORT = Number(process.env.PORT) || 4173;
+const EVENTS_PATH = '/__hozokura/events';
+const clients = new Set();
 
 const MIME = {
   '.html': 'text/html; charset=utf-8',
@@ -26,13 +27,37 @@ const MIME = {
   '.webp': 'image/webp'
 };
 
-const server = http.createServer(async (req, res) => {
+export async function startPreview({ port = Number(process.env.PORT) || 4173, buildOptions = {} } = {}) {
+  // External URLs are only syntax-checked while previewing so rebuilds stay fast, and local
+  // visits must not show up in the site's analytics
+  const options = { ...buildOptions, offline: true, analytics: false };
+  const dist = await resolveOutDir(options.out);
+  const server = http.createServer((req, res) => serveFile(dist, req, res));
+
+  await runBuild(options);
+  startWatch(options);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  console.log(`Preview server running at http://localhost:${port}`);
+  console.log(`Serving ${dist}`);
+  return server;
+}
+
+async function serveFile(dist, req, res) {
   try {
     const urlPath = new URL(req.url, 'http://localhost').pathname;
+    if (urlPath === EVENTS_PATH) {
+      openEventStream(req, res);
+      return;
+    }
+
     const safePath = path.normalize(decodeURIComponent(urlPath));
-    const candidate = path.join(DIST, safePath);
+    const candidate = path.join(dist, safePath);
 
-    if (!candidate.startsWith(DIST)) {
+    if (!candidate.startsWith(dist)) {
       res.writeHead(400);
       res.end('Bad request');
       return;
@@ -48,22 +73,14 @@ const server = http.createServer(async (req, res) => {
     const ext = path.extname(filePath).toLowerCase();
     const type = MIME[ext] || 'application/octet-stream';
     const data = await fsp.readFile(filePath);
-    res.writeHead(200, { 'Content-Type': type });
-    res.end(data);
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(ext === '.html' ? injectLiveReload(data.toString('utf8')) : data);
   } catch (err) {
     res.writeHead(500);
     res.end('Server error');
     console.error(err);
   }
-});
-
-await runBuild();
-startWatch();
-
-server.listen(PORT, () => {
-  console.log(`Preview server running at http://localhost:${PORT}`);
-  console.log(`Serving ${DIST}`);
-});
+}
 
 async function resolvePath(candidate) {
   try {
@@ -79,27 +96,87 @@ async function resolvePath(candidate) {
   }
 }
 
-function startWatch() {
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 1000\n\n');
+  clients.add(res);
+  req.on('close', () => clients.delete(res));
+}
+
+function broadcast(event, data = {}) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of clients) client.write(payload);
+}
+
+function injectLiveReload(html) {
+  const script = `<script>
+  (() => {
+    const source = new EventSource('${EVENTS_PATH}');
+    const overlayId = '__hozokura-error';
+    const hideError = () => document.getElementById(overlayId)?.remove();
+    source.addEventListener('reload', () => location.reload());
+    source.addEventListener('css', () => {
+      hideError();
+      document.querySelectorAll('link[rel="stylesheet"][href*="/assets/style.css"]').forEach((link) => {
+        const url = new URL(link.href);
+        url.searchParams.set('t', Date.now());
+        link.href = url.toString();
+      });
+    });
+    source.addEventListener('build-error', (e) => {
+      const { message } = JSON.parse(e.data);
+      let overlay = document.getElementById(overlayId);
+      if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = overlayId;
+        overlay.style.cssText = 'position:fixed;inset:0;z-index:99999;background:rgba(20,20,20,.92);color:#ffb4a8;padding:32px;overflow:auto;font:14px/1.6 ui-monospace,monospace;';
+        overlay.addEventListener('click', hideError);
+        document.body.appendChild(overlay);
+      }
+      overlay.innerHTML = '<strong style="color:#fff">[preview] rebuild failed</strong><pre style="white-space:pre-wrap"></pre>';
+      overlay.querySelector('pre').textContent = message;
+    });
+  })();
+</script>`;
+  return html.includes('</body>') ? html.replace('</body>', `${script}\n</body>`) : `${html}${script}`;
+}
+
+function startWatch(buildOptions) {
   const targets = [
     path.join(ROOT, 'content'),
     path.join(ROOT, 'theme'),
+    path.join(ROOT, 'themes'),
+    path.join(ROOT, 'locales'),
     path.join(ROOT, 'site.config.json'),
+    path.join(ROOT, 'hozokura.config.js'),
     path.join(ROOT, 'build.js')
   ];
 
   let timer = null;
   let rebuilding = false;
+  const changed = new Set();
 
   const trigger = (reason) => {
+    changed.add(reason);
     if (timer) clearTimeout(timer);
     timer = setTimeout(async () => {
       if (rebuilding) return;
       rebuilding = true;
+      const names = Array.from(changed);
+      changed.clear();
       try {
-        await runBuild();
-        console.log(`[preview] rebuilt due to ${reason}`);
+        await runBuild(buildOptions);
+        console.log(`[preview] rebuilt due to ${names.join(', ')}`);
+        // Stylesheet-only edits are swapped in place; anything else reloads the page
+        const cssOnly = names.every((name) => name === 'theme/style.css');
+        broadcast(cssOnly ? 'css' : 'reload');
       } catch (err) {
         console.error('[preview] rebuild failed', err);
+        broadcast('build-error', { message: err?.stack || String(err) });
       } finally {
         rebuilding = false;
       }
@@ -109,7 +186,7 @@ function startWatch() {
   for (const target of targets) {
     try {
       fs.watch(target, { recursive: true }, (_event, filename) => {
-        const name = filename ? `${path.basename(target)}/${filename}` : path.basename(target);
+        const name = filename ? `${path.basename(target)}/${filename.split(path.sep).join('/')}` : path.basename(target);
         trigger(name);
       });
       console.log(`[preview] watching ${target}`);
@@ -118,3 +195,18 @@ function startWatch() {
     }
   }
 }
+
+const isDirectRun = (() => {
+  const current = fileURLToPath(import.meta.url);
+  const entry = process.argv[1] ? path.resolve(process.argv[1]) : '';
+  return current === entry;
+})();
+
+if (isDirectRun) {
+  const argv = process.argv.slice(2);
+  const port = readArgValue(argv, '--port');
+  startPreview({ port: port ? Number(port) : undefined, buildOptions: parseBuildArgs(argv) }).catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,191 @@
+/*
+ Copyright (c) 2026 EricZhao
+ Licensed under GNU GPL v3: https://www.gnu.org/licenses/gpl-3.0.html
+*/
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// build.js resolves content/ from the working directory, so the suite runs in a scratch site
+const SITE_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'hozokura-test-'));
+process.chdir(SITE_DIR);
+const { createShortLinkProvider, parseShortLinkResponse, withRetries, syncShortLinks } = await import('../build.js');
+
+// Stand-in short-link service: each test queues the responses it wants, in order
+let server;
+let baseUrl;
+let replies = [];
+let requests = [];
+let inFlight = 0;
+let maxInFlight = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const reply = replies.shift() || { status: 200, json: { link: `${baseUrl}/ok` } };
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      setTimeout(() => {
+        inFlight--;
+        if (reply.hang) return;
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(typeof reply.json === 'string' ? reply.json : JSON.stringify(reply.json ?? {}));
+      }, reply.delay ?? 0);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(SITE_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  replies = [];
+  requests = [];
+  inFlight = 0;
+  maxInFlight = 0;
+});
+
+const restProvider = (extra = {}) =>
+  createShortLinkProvider({ provider: 'rest', endpoint: `${baseUrl}/shorten`, ...extra });
+const fastRetries = { retries: 2, retryDelay: 5 };
+
+test('retries 503 and 429 responses', async () => {
+  replies = [{ status: 503 }, { status: 429 }, { status: 200, json: { shortUrl: 'https://s.test/a' } }];
+  const link = await withRetries(() => restProvider().create({ url: 'https://example.com/posts/a/', slug: 'a' }), fastRetries);
+  assert.equal(link, 'https://s.test/a');
+  assert.equal(requests.length, 3);
+});
+
+test('retries requests that time out', async () => {
+  replies = [{ hang: true }, { status: 200, json: { link: 'https://s.test/b' } }];
+  const provider = restProvider({ timeout: 100 });
+  const link = await withRetries(() => provider.create({ url: 'https://example.com/posts/b/', slug: 'b' }), fastRetries);
+  assert.equal(link, 'https://s.test/b');
+  assert.equal(requests.length, 2);
+});
+
+test('gives up after the configured number of retries', async () => {
+  replies = [{ status: 500 }, { status: 500 }, { status: 500 }];
+  await assert.rejects(
+    withRetries(() => restProvider().create({ url: 'https://example.com/posts/c/', slug: 'c' }), fastRetries),
+    { status: 500 }
+  );
+  assert.equal(requests.length, 3);
+});
+
+test('does not retry a 400 response', async () => {
+  replies = [{ status: 400, json: { error: 'bad url' } }];
+  await assert.rejects(
+    withRetries(() => restProvider().create({ url: 'not a url', slug: 'd' }), fastRetries),
+    { status: 400, retryable: false }
+  );
+  assert.equal(requests.length, 1);
+});
+
+test('falls back to <sink>/<slug> when Sink reports the slug as taken', async () => {
+  process.env.SINK_API_URL = `${baseUrl}/`;
+  process.env.SINK_API_KEY = 'test-key';
+  try {
+    replies = [{ status: 409, json: { message: 'Slug already exists' } }];
+    const link = await createShortLinkProvider({ provider: 'sink' }).create({ url: 'https://example.com/posts/e/', slug: 'e' });
+    assert.equal(link, `${baseUrl}/e`);
+    assert.equal(requests[0].url, '/api/link/create');
+    assert.equal(requests[0].headers.authorization, 'Bearer test-key');
+    assert.deepEqual(requests[0].body, { url: 'https://example.com/posts/e/', slug: 'e' });
+  } finally {
+    delete process.env.SINK_API_URL;
+    delete process.env.SINK_API_KEY;
+  }
+});
+
+test('reports missing Sink credentials as a configuration error', () => {
+  assert.throws(() => createShortLinkProvider({ provider: 'sink' }), { missingCredentials: true });
+});
+
+test('maps the REST request body, headers and response field', async () => {
+  process.env.HOZOKURA_TEST_TOKEN = 'secret';
+  try {
+    replies = [{ status: 200, json: { data: { link: 'https://s.test/f' }, link: 'https://s.test/wrong' } }];
+    const provider = restProvider({
+      method: 'PUT',
+      headers: { Authorization: 'Bearer ${HOZOKURA_TEST_TOKEN}' },
+      body: { long_url: '{url}', options: { alias: 'post-{slug}' } },
+      responseField: 'data.link'
+    });
+    const link = await provider.create({ url: 'https://example.com/posts/f/', slug: 'f' });
+    assert.equal(link, 'https://s.test/f');
+    assert.equal(requests[0].method, 'PUT');
+    assert.equal(requests[0].headers.authorization, 'Bearer secret');
+    assert.deepEqual(requests[0].body, { long_url: 'https://example.com/posts/f/', options: { alias: 'post-f' } });
+  } finally {
+    delete process.env.HOZOKURA_TEST_TOKEN;
+  }
+});
+
+test('rejects a REST response without the configured field', async () => {
+  replies = [{ status: 200, json: { data: {} } }];
+  await assert.rejects(
+    withRetries(() => restProvider({ responseField: 'data.link' }).create({ url: 'https://example.com/', slug: 'g' }), fastRetries),
+    { retryable: false }
+  );
+  assert.equal(requests.length, 1);
+});
+
+test('parses the short URL from link, shortLink, shortUrl or url', () => {
+  assert.equal(parseShortLinkResponse({ link: 'https://s.test/1' }), 'https://s.test/1');
+  assert.equal(parseShortLinkResponse({ shortLink: 'https://s.test/2' }), 'https://s.test/2');
+  assert.equal(parseShortLinkResponse({ shortUrl: 'https://s.test/3' }), 'https://s.test/3');
+  assert.equal(parseShortLinkResponse({ url: 'https://s.test/4' }), 'https://s.test/4');
+  assert.equal(parseShortLinkResponse({ link: 'https://s.test/5', url: 'https://example.com/' }), 'https://s.test/5');
+  assert.equal(parseShortLinkResponse({ slug: 'abc' }, 'https://s.test/'), 'https://s.test/abc');
+  assert.throws(() => parseShortLinkResponse({ id: 1 }), { retryable: false });
+});
+
+async function writePosts(count) {
+  const posts = [];
+  for (let i = 0; i < count; i++) {
+    const filePath = path.join(SITE_DIR, `post-${i}.md`);
+    await fs.writeFile(filePath, `---\ntitle: Post ${i} # keep this comment\ndate: 2025-01-0${i + 1}\n---\nBody ${i}\n`);
+    posts.push({ slug: `post-${i}`, lang: 'zh-CN', prefix: '', filePath });
+  }
+  return posts;
+}
+
+const siteConfig = (shortLink) => ({ siteUrl: 'https://example.com', baseUrl: '/', services: { shortLink } });
+
+test('never runs more requests at once than `concurrency`', async () => {
+  const posts = await writePosts(6);
+  replies = posts.map((post) => ({ status: 200, delay: 30, json: { link: `https://s.test/${post.slug}` } }));
+  await syncShortLinks(posts, siteConfig({ provider: 'rest', endpoint: `${baseUrl}/shorten`, concurrency: 2 }));
+  assert.equal(requests.length, 6);
+  assert.equal(maxInFlight, 2);
+  assert.deepEqual(posts.map((post) => post.shortLink), posts.map((post) => `https://s.test/${post.slug}`));
+  assert.equal(
+    await fs.readFile(posts[0].filePath, 'utf8'),
+    "---\ntitle: Post 0 # keep this comment\ndate: 2025-01-01\nshortLink: 'https://s.test/post-0'\n---\nBody 0\n"
+  );
+});
+
+test('--dry-run sends no requests and writes nothing', async () => {
+  const posts = await writePosts(2);
+  const before = await Promise.all(posts.map((post) => fs.readFile(post.filePath, 'utf8')));
+  for (const store of ['frontMatter', 'sidecar']) {
+    await syncShortLinks(posts, siteConfig({ provider: 'rest', endpoint: `${baseUrl}/shorten`, store }), { dryRun: true });
+  }
+  assert.equal(requests.length, 0);
+  assert.deepEqual(await Promise.all(posts.map((post) => fs.readFile(post.filePath, 'utf8'))), before);
+  assert.deepEqual(posts.map((post) => post.shortLink), [undefined, undefined]);
+  await assert.rejects(fs.stat(path.join(SITE_DIR, 'content')), { code: 'ENOENT' });
+});